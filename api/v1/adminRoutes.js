@@ -1,26 +1,37 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
-import { hash, compare } from "bcryptjs";
 import { PrismaClient } from '@prisma/client';
 import authenticate from './middleware/authenticate.js';
+import requirePermission from './middleware/requirePermission.js';
+import { resolvePermissions, isKnownPermission, isSystemRole } from './services/permissionService.js';
+import {
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  findActiveSession,
+  clearSessionCookies,
+  extractRefreshToken,
+  tokenResponse
+} from './services/sessionService.js';
+import { requestPasswordReset, confirmPasswordReset } from './services/passwordResetService.js';
+import { checkTwoFactor, revokeUnenrolledSubAdminSessions } from './services/twoFactorService.js';
+import { SETTINGS, getBooleanSetting, setSetting } from './services/settingsService.js';
+import { checkCredentials } from './services/credentialService.js';
+import { createInvitation, previewInvitation, acceptInvitation } from './services/invitationService.js';
+import { listLockouts, unlockAccount } from './services/loginLockoutService.js';
+import { anonymizeUser } from './services/accountService.js';
+import { loginLimiter, signupLimiter, passwordResetLimiter } from './middleware/rateLimiters.js';
+import { PAID_STATUSES, refundPayment, cancelPayment } from './services/paymentService.js';
+import { normalizeCouponCode } from './services/couponService.js';
+import { formatReceiptNumber, reissueReceipt, sendReceipt } from './services/receiptService.js';
 
 dotenv.config();
 
-const JWT_SECRET_KEY = process.env.JWT_SECRET;
-const SALT_ROUNDS = 12;
 const prisma = new PrismaClient();
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user.id, email: user.email, role: user.role, name: user.name },
-    JWT_SECRET_KEY,
-    { expiresIn: "30d" }
-  );
-};
-
 // Protected Route Example (Admin + Sub-admin)
 router.get('/dashboard', authenticate(['ADMIN', 'SUB_ADMIN']), (req, res) => {
   return res.status(200).json({
@@ -32,30 +43,149 @@ router.get('/dashboard', authenticate(['ADMIN', 'SUB_ADMIN']), (req, res) => {
   });
 });
 
-// Admin Signup Route
-router.post('/signup', async (req, res) => {
-  const { email, name, password } = req.body;
+// Invite Admin (admin:invite)
+router.post('/invitations', requirePermission('admin:invite'), async (req, res) => {
+  const { email, name, isSuper = false } = req.body;
 
   try {
-    const hashedPassword = await hash(password, SALT_ROUNDS);
+    const result = await createInvitation({
+      email,
+      name,
+      role: 'ADMIN',
+      isSuper: isSuper === true,
+      invitedBy: req.user
+    });
 
-    const admin = await prisma.admin.create({
-      data: {
-        email,
-        name,
-        password: hashedPassword,
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(201).json({ message: 'Admin invitation sent', invitation: result.invitation, success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Get Pending Invitations (subadmin:create, admin invitations also need admin:invite)
+router.get('/invitations', requirePermission('subadmin:create'), async (req, res) => {
+  try {
+    const invitations = await prisma.invitation.findMany({
+      where: {
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+        ...(!req.can('admin:invite') && { role: 'SUB_ADMIN', adminId: req.ownerAdminId })
+      },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        isSuper: true,
+        adminId: true,
+        invitedById: true,
+        invitedByType: true,
+        expiresAt: true,
+        createdAt: true
+      },
+      orderBy: {
+        createdAt: 'desc'
       }
     });
 
-    admin.role = 'ADMIN'; // You can also persist this to DB if needed
+    return res.status(200).json({
+      message: 'Invitations fetched successfully',
+      invitations,
+      count: invitations.length,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Revoke Invitation (subadmin:create, admin invitations also need admin:invite)
+router.delete('/invitations/:id', requirePermission('subadmin:create'), async (req, res) => {
+  const { id } = req.params;
 
-    const token = generateToken(admin);
-    res.cookie('token', token, {
-      httpOnly: true,
-      sameSite: 'lax'
+  try {
+    const { count } = await prisma.invitation.updateMany({
+      where: {
+        id,
+        acceptedAt: null,
+        revokedAt: null,
+        ...(!req.can('admin:invite') && { role: 'SUB_ADMIN', adminId: req.ownerAdminId })
+      },
+      data: { revokedAt: new Date() }
     });
 
-    return res.status(201).json({ message: 'Admin signup successful', success: true });
+    if (count === 0) {
+      return res.status(404).json({ message: 'Pending invitation not found', success: false });
+    }
+
+    return res.status(200).json({ message: 'Invitation revoked successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Preview Invitation (Public)
+router.get('/invitations/accept', async (req, res) => {
+  try {
+    const result = await previewInvitation(req.query.token);
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({ message: 'Invitation is valid', invitation: result.invitation, success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Password was correct, the client has to finish the login at /admin/2fa/login or /admin/2fa/enroll
+const twoFactorResponse = ({ purpose, challengeToken }) => {
+  if (purpose === 'SETUP') {
+    return {
+      message: 'Two-factor authentication is mandatory, please set it up to continue',
+      twoFactorSetupRequired: true,
+      challengeToken,
+      success: true
+    };
+  }
+
+  return {
+    message: 'Enter the code from your authenticator app to continue',
+    twoFactorRequired: true,
+    challengeToken,
+    success: true
+  };
+};
+
+// Accept Invitation (Public)
+router.post('/invitations/accept', signupLimiter, async (req, res) => {
+  const { token, name, password } = req.body;
+
+  try {
+    const result = await acceptInvitation(token, { name, password });
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    // New sub-admins go through the 2FA mandate like any login, before they get a session
+    const twoFactor = await checkTwoFactor(result.subject.role, result.subject);
+    if (twoFactor.required)
+      return res.status(201).json(twoFactorResponse(twoFactor));
+
+    const session = await startSession(req, res, result.subject);
+
+    return res.status(201).json({ message: 'Account created successfully', ...tokenResponse(req, session), success: true });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Internal server error', success: false });
@@ -63,118 +193,106 @@ router.post('/signup', async (req, res) => {
 });
 
 // Admin Login Route
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    const admin = await prisma.admin.findUnique({ where: { email } });
-
-    if (!admin)
-      return res.status(404).json({ message: 'Admin not found', success: false });
+    const result = await checkCredentials('ADMIN', email, password);
 
-    const isMatch = await compare(password, admin.password);
-    if (!isMatch)
-      return res.status(401).json({ message: 'Invalid credentials', success: false });
+    if (!result.success) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
 
-    admin.role = 'ADMIN';
+    const twoFactor = await checkTwoFactor('ADMIN', result.subject);
+    if (twoFactor.required)
+      return res.status(200).json(twoFactorResponse(twoFactor));
 
-    const token = generateToken(admin);
-    res.cookie('token', token, {
-      httpOnly: true,
-      sameSite: 'lax'
-    });
+    const session = await startSession(req, res, result.subject);
 
-    return res.status(200).json({ message: 'Login successful', success: true });
+    return res.status(200).json({ message: 'Login successful', ...tokenResponse(req, session), success: true });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Internal server error', success: false });
   }
 });
 
-//Subadmin Login Route
-router.post('/subadmin/login', async (req, res) => {
+// Subadmin Login Route
+router.post('/subadmin/login', loginLimiter, async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    const subadmin = await prisma.subAdmin.findUnique({ where: { email } });
+    const result = await checkCredentials('SUB_ADMIN', email, password);
 
-    if (!subadmin)
-      return res.status(404).json({ message: 'Subadmin not found', success: false });
-
-    const isMatch = await compare(password, subadmin.password);
-    if (!isMatch)
-      return res.status(401).json({ message: 'Invalid credentials', success: false });
+    if (!result.success) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
 
-    subadmin.role = 'SUB_ADMIN';
+    const twoFactor = await checkTwoFactor('SUB_ADMIN', result.subject);
+    if (twoFactor.required)
+      return res.status(200).json(twoFactorResponse(twoFactor));
 
-    const token = generateToken(subadmin);
-    res.cookie('token', token, {
-      httpOnly: true,
-      sameSite: 'lax'
-    });
+    const session = await startSession(req, res, result.subject);
 
-    return res.status(200).json({ message: 'Login successful', success: true });
+    return res.status(200).json({ message: 'Login successful', ...tokenResponse(req, session), success: true });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Internal server error', success: false });
   }
 });
 
-// Create Sub-Admin (Admin-only)
-router.post('/create-sub-admin', authenticate(['ADMIN']), async (req, res) => {
-  const { email, name, password } = req.body;
-  const adminId = req.user.id;
+// Invite Sub-Admin (subadmin:create), the sub-admin chooses their own password
+router.post('/create-sub-admin', requirePermission('subadmin:create'), async (req, res) => {
+  const { email, name } = req.body;
 
   try {
-    const hashedPassword = await hash(password, SALT_ROUNDS);
-
-    await prisma.subAdmin.create({
-      data: {
-        email,
-        name,
-        password: hashedPassword,
-        adminId
-      }
+    const result = await createInvitation({
+      email,
+      name,
+      role: 'SUB_ADMIN',
+      adminId: req.ownerAdminId,
+      invitedBy: req.user
     });
 
-    return res.status(201).json({ message: 'Sub-admin created successfully', success: true });
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(201).json({ message: 'Sub-admin invitation sent', invitation: result.invitation, success: true });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Internal server error', success: false });
   }
 });
 
-// Delete User (Admin-only)
-router.delete('/delete-user/:id', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+// Delete User (user:delete), the account is anonymized so its payment records are kept for accounting
+router.delete('/delete-user/:id', requirePermission('user:delete'), async (req, res) => {
   const { id } = req.params;
 
   try {
-    await prisma.quizAttempt.deleteMany({
-      where: {
-        userId: id
-      }
-    });
-    await prisma.leaderBoardEntry.deleteMany({
-      where: {
-        userId : id
-      }
-    })
-    const user = await prisma.user.delete({
+    const user = await prisma.user.findUnique({
       where: {
         id
       }
     });
 
-    return res.status(200).json({ message: 'User deleted successfully', user });
+    if (!user || user.anonymizedAt) {
+      return res.status(404).json({ message: 'User not found', success: false });
+    }
+
+    await anonymizeUser(id);
+
+    return res.status(200).json({ message: 'User deleted successfully', success: true });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Internal server error', success: false });
   }
 });
 
-// Get Sub-Admins (Admin-only)
-router.get('/sub-admins', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
-  const adminId = req.user.id;
+// Get Sub-Admins (subadmin:view)
+router.get('/sub-admins', requirePermission('subadmin:view'), async (req, res) => {
+  const adminId = req.ownerAdminId;
 
   try {
     // Get only sub-admins created by the logged-in admin
@@ -186,6 +304,9 @@ router.get('/sub-admins', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res)
         id: true,
         email: true,
         name: true,
+        roleName: true,
+        grantedPermissions: true,
+        deniedPermissions: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -210,10 +331,10 @@ router.get('/sub-admins', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res)
   }
 });
 
-// Delete Sub-Admin (Admin-only)
-router.delete('/sub-admin/:id', authenticate(['ADMIN']), async (req, res) => {
+// Delete Sub-Admin (subadmin:delete)
+router.delete('/sub-admin/:id', requirePermission('subadmin:delete'), async (req, res) => {
   const { id } = req.params;
-  const adminId = req.user.id;
+  const adminId = req.ownerAdminId;
 
   try {
     // First check if the sub-admin belongs to the logged-in admin
@@ -248,6 +369,82 @@ router.delete('/sub-admin/:id', authenticate(['ADMIN']), async (req, res) => {
   }
 });
 
+// Update Sub-Admin Role And Permissions (subadmin:permissions:manage)
+router.put('/sub-admins/:id/permissions', requirePermission('subadmin:permissions:manage'), async (req, res) => {
+  const { id } = req.params;
+  const { roleName = null, grantedPermissions = [], deniedPermissions = [] } = req.body;
+
+  try {
+    const subAdmin = await prisma.subAdmin.findFirst({
+      where: {
+        id,
+        adminId: req.ownerAdminId
+      }
+    });
+
+    if (!subAdmin) {
+      return res.status(404).json({
+        message: 'Sub-admin not found or you do not have permission to manage it',
+        success: false
+      });
+    }
+
+    if (!Array.isArray(grantedPermissions) || !Array.isArray(deniedPermissions)) {
+      return res.status(400).json({ message: 'grantedPermissions and deniedPermissions must be arrays', success: false });
+    }
+
+    const unknownPermission = [...grantedPermissions, ...deniedPermissions].find(permission => !isKnownPermission(permission));
+    if (unknownPermission) {
+      return res.status(400).json({ message: `Unknown permission: ${unknownPermission}`, success: false });
+    }
+
+    if (roleName !== null) {
+      const role = isSystemRole(roleName) ? null : await prisma.roleDefinition.findUnique({ where: { name: roleName } });
+
+      if (!role) {
+        return res.status(400).json({ message: 'Sub-admins can only be given custom roles', success: false });
+      }
+
+      // Nobody can hand out more than they have themselves
+      if (!role.permissions.every(permission => req.can(permission))) {
+        return res.status(403).json({ message: 'You cannot assign a role with permissions you do not have', success: false });
+      }
+    }
+
+    if (!grantedPermissions.every(permission => req.can(permission))) {
+      return res.status(403).json({ message: 'You cannot grant permissions you do not have', success: false });
+    }
+
+    const updatedSubAdmin = await prisma.subAdmin.update({
+      where: { id },
+      data: {
+        roleName,
+        grantedPermissions: [...new Set(grantedPermissions)],
+        deniedPermissions: [...new Set(deniedPermissions)]
+      },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        roleName: true,
+        grantedPermissions: true,
+        deniedPermissions: true
+      }
+    });
+
+    const { permissions } = await resolvePermissions({ id, role: 'SUB_ADMIN' });
+
+    return res.status(200).json({
+      message: 'Sub-admin permissions updated successfully',
+      subAdmin: { ...updatedSubAdmin, permissions: [...permissions] },
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
 router.get('/admin-profile', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
   const adminId = req.user.id;
   const role = req.user.role;
@@ -263,6 +460,7 @@ router.get('/admin-profile', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, r
           email: true,
           name: true,
           isSuper: true,
+          role: true,
           createdAt: true,
           updatedAt: true,
           _count: {
@@ -280,9 +478,7 @@ router.get('/admin-profile', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, r
           success: false 
         });
       }
-      
-      // Add role explicitly since it's not stored in DB
-      adminData.role = 'ADMIN';
+
     } else if (role === 'SUB_ADMIN') {
       adminData = await prisma.subAdmin.findUnique({
         where: { id: adminId },
@@ -290,6 +486,8 @@ router.get('/admin-profile', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, r
           id: true,
           email: true,
           name: true,
+          role: true,
+          roleName: true,
           createdAt: true,
           updatedAt: true,
           admin: {
@@ -308,14 +506,14 @@ router.get('/admin-profile', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, r
           success: false 
         });
       }
-      
-      // Add role explicitly since it's not stored in DB
-      adminData.role = 'SUB_ADMIN';
+
     }
 
+    const { permissions } = await resolvePermissions(req.user);
+
     return res.status(200).json({
       message: 'Admin profile fetched successfully',
-      admin: adminData,
+      admin: { ...adminData, permissions: [...permissions] },
       success: true
     });
   } catch (err) {
@@ -324,13 +522,805 @@ router.get('/admin-profile', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, r
   }
 });
 
-router.post('/logout', authenticate(['ADMIN', 'SUB_ADMIN']), (req, res) => {
-  res.clearCookie('token', {
-    httpOnly: true,
-    sameSite: 'lax',
+// Validate coupon fields from the request body, only the fields that were sent are returned
+const parseCouponInput = (body, { partial = false, current = null } = {}) => {
+  const data = {};
+  const { code, description, discountType, discountValue, expiresAt, maxRedemptions, perUserLimit, active } = body;
+
+  if (code !== undefined || !partial) {
+    if (!code || !/^[A-Za-z0-9_-]{3,32}$/.test(String(code).trim())) {
+      return { error: 'Code must be 3-32 letters, numbers, dashes or underscores' };
+    }
+    data.code = normalizeCouponCode(code);
+  }
+
+  if (discountType !== undefined || !partial) {
+    if (!['PERCENTAGE', 'FIXED'].includes(discountType)) {
+      return { error: 'Discount type must be PERCENTAGE or FIXED' };
+    }
+    data.discountType = discountType;
+  }
+
+  if (discountValue !== undefined || !partial) {
+    const value = Number(discountValue);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: 'Discount value must be a positive number' };
+    }
+    data.discountValue = value;
+  }
+
+  const effectiveType = data.discountType ?? current?.discountType;
+  const effectiveValue = data.discountValue ?? current?.discountValue;
+  if (effectiveType === 'PERCENTAGE' && effectiveValue > 100) {
+    return { error: 'A percentage discount cannot be more than 100' };
+  }
+
+  if (expiresAt !== undefined) {
+    const parsedExpiresAt = expiresAt ? new Date(expiresAt) : null;
+    if (parsedExpiresAt && isNaN(parsedExpiresAt.getTime())) {
+      return { error: 'Invalid expiry date' };
+    }
+    data.expiresAt = parsedExpiresAt;
+  }
+
+  for (const [field, value] of Object.entries({ maxRedemptions, perUserLimit })) {
+    if (value === undefined) continue;
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return { error: `${field} must be a positive whole number or null` };
+    }
+    data[field] = value;
+  }
+
+  if (description !== undefined) data.description = description;
+  if (active !== undefined) data.active = Boolean(active);
+
+  return { data };
+};
+
+// Coupons can only be restricted to quizzes the admin owns, unless they may manage coupons for any quiz
+const validateCouponQuizzes = async (quizIds, req) => {
+  if (!Array.isArray(quizIds)) return false;
+
+  const count = await prisma.quiz.count({
+    where: {
+      id: { in: quizIds },
+      ...(!req.can('coupon:manage:any') && { adminId: req.ownerAdminId })
+    }
+  });
+
+  return count === new Set(quizIds).size;
+};
+
+const findManagedCoupon = async (couponId, req) => {
+  return prisma.coupon.findFirst({
+    where: {
+      id: couponId,
+      ...(!req.can('coupon:manage:any') && { adminId: req.ownerAdminId })
+    }
   });
+};
+
+// Create Coupon (coupon:manage:own)
+router.post('/coupons', requirePermission('coupon:manage:own'), async (req, res) => {
+  const { quizIds = [] } = req.body;
+  const adminId = req.ownerAdminId;
+
+  try {
+    const { data, error } = parseCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error, success: false });
+    }
+
+    if (!(await validateCouponQuizzes(quizIds, req))) {
+      return res.status(400).json({
+        message: 'Coupons can only be restricted to quizzes you own',
+        success: false
+      });
+    }
+
+    const existingCoupon = await prisma.coupon.findUnique({ where: { code: data.code } });
+    if (existingCoupon) {
+      return res.status(409).json({ message: 'A coupon with this code already exists', success: false });
+    }
+
+    const coupon = await prisma.coupon.create({
+      data: {
+        ...data,
+        adminId,
+        quizzes: {
+          connect: quizIds.map(id => ({ id }))
+        }
+      },
+      include: {
+        quizzes: { select: { id: true, title: true } }
+      }
+    });
+
+    return res.status(201).json({ message: 'Coupon created successfully', coupon, success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Get Coupons (coupon:manage:own)
+router.get('/coupons', requirePermission('coupon:manage:own'), async (req, res) => {
+  try {
+    const coupons = await prisma.coupon.findMany({
+      where: {
+        ...(!req.can('coupon:manage:any') && { adminId: req.ownerAdminId })
+      },
+      include: {
+        quizzes: { select: { id: true, title: true } },
+        _count: {
+          select: {
+            payments: {
+              where: { status: { in: PAID_STATUSES } }
+            }
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    const formattedCoupons = coupons.map(({ _count, ...coupon }) => ({
+      ...coupon,
+      redemptions: _count.payments
+    }));
+
+    return res.status(200).json({
+      message: 'Coupons fetched successfully',
+      coupons: formattedCoupons,
+      count: formattedCoupons.length,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Get Coupon Redemption Stats (coupon:manage:own)
+router.get('/coupons/:id/stats', requirePermission('coupon:manage:own'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const coupon = await findManagedCoupon(id, req);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found', success: false });
+    }
+
+    const payments = await prisma.payment.findMany({
+      where: {
+        couponId: id,
+        status: { in: ['PENDING', ...PAID_STATUSES] }
+      },
+      include: {
+        quiz: { select: { id: true, title: true } }
+      }
+    });
+
+    const redeemed = payments.filter(payment => PAID_STATUSES.includes(payment.status));
+    const byQuiz = {};
+
+    redeemed.forEach(payment => {
+      const key = payment.quizId ?? 'deleted';
+      byQuiz[key] ??= { quizId: payment.quizId, title: payment.quiz?.title ?? null, redemptions: 0, discountGiven: 0, revenue: 0 };
+      byQuiz[key].redemptions += 1;
+      byQuiz[key].discountGiven += payment.discountAmount;
+      byQuiz[key].revenue += payment.amount;
+    });
+
+    return res.status(200).json({
+      message: 'Coupon stats fetched successfully',
+      stats: {
+        couponId: coupon.id,
+        code: coupon.code,
+        redemptions: redeemed.length,
+        pendingRedemptions: payments.length - redeemed.length,
+        remainingRedemptions: coupon.maxRedemptions === null
+          ? null
+          : Math.max(0, coupon.maxRedemptions - coupon.redemptionCount),
+        uniqueUsers: new Set(redeemed.map(payment => payment.userId)).size,
+        totalDiscountGiven: redeemed.reduce((sum, payment) => sum + payment.discountAmount, 0),
+        totalRevenue: redeemed.reduce((sum, payment) => sum + payment.amount, 0),
+        byQuiz: Object.values(byQuiz)
+      },
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Update Coupon (coupon:manage:own)
+router.patch('/coupons/:id', requirePermission('coupon:manage:own'), async (req, res) => {
+  const { id } = req.params;
+  const { quizIds } = req.body;
+
+  try {
+    const coupon = await findManagedCoupon(id, req);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found', success: false });
+    }
+
+    const { data, error } = parseCouponInput(req.body, { partial: true, current: coupon });
+    if (error) {
+      return res.status(400).json({ message: error, success: false });
+    }
+
+    if (quizIds !== undefined && !(await validateCouponQuizzes(quizIds, req))) {
+      return res.status(400).json({
+        message: 'Coupons can only be restricted to quizzes you own',
+        success: false
+      });
+    }
+
+    if (data.code && data.code !== coupon.code) {
+      const existingCoupon = await prisma.coupon.findUnique({ where: { code: data.code } });
+      if (existingCoupon) {
+        return res.status(409).json({ message: 'A coupon with this code already exists', success: false });
+      }
+    }
+
+    const updatedCoupon = await prisma.coupon.update({
+      where: { id },
+      data: {
+        ...data,
+        ...(quizIds !== undefined && {
+          quizzes: {
+            set: quizIds.map(quizId => ({ id: quizId }))
+          }
+        })
+      },
+      include: {
+        quizzes: { select: { id: true, title: true } }
+      }
+    });
 
-  return res.status(200).json({ message: 'Logged out successfully', success: true });
+    return res.status(200).json({ message: 'Coupon updated successfully', coupon: updatedCoupon, success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Delete Coupon (coupon:manage:own)
+router.delete('/coupons/:id', requirePermission('coupon:manage:own'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const coupon = await findManagedCoupon(id, req);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found', success: false });
+    }
+
+    const usage = await prisma.payment.count({ where: { couponId: id } });
+
+    // Used coupons stay around so payments keep pointing at the discount they got
+    if (usage > 0) {
+      await prisma.coupon.update({
+        where: { id },
+        data: { active: false }
+      });
+
+      return res.status(200).json({
+        message: 'Coupon has already been used, it was deactivated instead of deleted',
+        success: true
+      });
+    }
+
+    await prisma.coupon.delete({ where: { id } });
+
+    return res.status(200).json({ message: 'Coupon deleted successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Payments for quizzes of the caller's admin, or any payment with the :any variant of the permission
+const findManagedPayment = async (paymentId, req, permission) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: { quiz: { select: { adminId: true } } }
+  });
+
+  if (!payment) return null;
+  if (req.can(`${permission}:any`) || payment.quiz?.adminId === req.ownerAdminId) return payment;
+  return null;
+};
+
+// Refund Payment (payment:refund:own)
+router.post('/payments/:paymentId/refund', requirePermission('payment:refund:own'), async (req, res) => {
+  const { paymentId } = req.params;
+  const { amount, reason } = req.body;
+  const adminId = req.user.id;
+
+  try {
+    const payment = await findManagedPayment(paymentId, req, 'payment:refund');
+
+    if (!payment) {
+      return res.status(404).json({
+        message: 'Payment not found or you do not have permission to refund it',
+        success: false
+      });
+    }
+
+    const result = await refundPayment({ paymentId, amount, reason, issuedBy: adminId });
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({
+      message: 'Payment refunded successfully',
+      payment: result.payment,
+      refund: result.refund,
+      attemptRevoked: result.attemptRevoked,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Cancel Pending Payment (payment:cancel:own)
+router.post('/payments/:paymentId/cancel', requirePermission('payment:cancel:own'), async (req, res) => {
+  const { paymentId } = req.params;
+
+  try {
+    const payment = await findManagedPayment(paymentId, req, 'payment:cancel');
+
+    if (!payment) {
+      return res.status(404).json({
+        message: 'Payment not found or you do not have permission to cancel it',
+        success: false
+      });
+    }
+
+    const result = await cancelPayment({ paymentId });
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({
+      message: 'Payment cancelled successfully',
+      payment: result.payment,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+const findManagedReceipt = async (receiptId, req, permission) => {
+  const receipt = await prisma.receipt.findUnique({
+    where: { id: receiptId },
+    include: {
+      payment: {
+        select: {
+          id: true,
+          status: true,
+          refundedAmount: true,
+          quiz: { select: { adminId: true } }
+        }
+      }
+    }
+  });
+
+  if (!receipt) return null;
+  if (req.can(`${permission}:any`) || receipt.payment.quiz?.adminId === req.ownerAdminId) return receipt;
+  return null;
+};
+
+// Get Receipts (receipt:view:own)
+router.get('/receipts', requirePermission('receipt:view:own'), async (req, res) => {
+  const { quizId, includeVoided } = req.query;
+
+  try {
+    const receipts = await prisma.receipt.findMany({
+      where: {
+        ...(includeVoided !== 'true' && { voidedAt: null }),
+        payment: {
+          ...(quizId && { quizId }),
+          ...(!req.can('receipt:view:any') && { quiz: { adminId: req.ownerAdminId } })
+        }
+      },
+      orderBy: {
+        number: 'desc'
+      }
+    });
+
+    return res.status(200).json({
+      message: 'Receipts fetched successfully',
+      receipts: receipts.map(receipt => ({
+        ...receipt,
+        receiptNumber: formatReceiptNumber(receipt.number)
+      })),
+      count: receipts.length,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Download Receipt (receipt:view:own)
+router.get('/receipts/:id', requirePermission('receipt:view:own'), async (req, res) => {
+  const { id } = req.params;
+  const { format = 'html' } = req.query;
+
+  try {
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be html or pdf', success: false });
+    }
+
+    const receipt = await findManagedReceipt(id, req, 'receipt:view');
+
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found', success: false });
+    }
+
+    sendReceipt(res, receipt, format);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Re-issue Receipt (receipt:reissue:own)
+router.post('/receipts/:id/reissue', requirePermission('receipt:reissue:own'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const receipt = await findManagedReceipt(id, req, 'receipt:reissue');
+
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found', success: false });
+    }
+
+    const newReceipt = await reissueReceipt(id);
+
+    if (!newReceipt) {
+      return res.status(400).json({ message: 'Only the current receipt of a payment can be re-issued', success: false });
+    }
+
+    return res.status(201).json({
+      message: 'Receipt re-issued successfully',
+      receipt: {
+        ...newReceipt,
+        receiptNumber: formatReceiptNumber(newReceipt.number)
+      },
+      replaces: formatReceiptNumber(receipt.number),
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Get Payouts (payout:view:own)
+router.get('/payouts', requirePermission('payout:view:own'), async (req, res) => {
+  const { quizId, status } = req.query;
+
+  try {
+    const payouts = await prisma.payout.findMany({
+      where: {
+        ...(quizId && { quizId }),
+        ...(status && { status }),
+        ...(!req.can('payout:view:any') && { quiz: { adminId: req.ownerAdminId } })
+      },
+      include: {
+        user: { select: { id: true, name: true, email: true } },
+        quiz: { select: { id: true, title: true } }
+      },
+      orderBy: [
+        { quizId: 'asc' },
+        { rank: 'asc' }
+      ]
+    });
+
+    return res.status(200).json({
+      message: 'Payouts fetched successfully',
+      payouts,
+      count: payouts.length,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Payouts only move forward: PENDING -> APPROVED -> PAID
+const advancePayout = (fromStatus, toStatus, buildData) => {
+  return async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const payout = await prisma.payout.findFirst({
+        where: {
+          id,
+          ...(!req.can('payout:approve:any') && { quiz: { adminId: req.ownerAdminId } })
+        }
+      });
+
+      if (!payout) {
+        return res.status(404).json({ message: 'Payout not found', success: false });
+      }
+
+      const { count } = await prisma.payout.updateMany({
+        where: { id, status: fromStatus },
+        data: { status: toStatus, ...buildData(req) }
+      });
+
+      if (count === 0) {
+        return res.status(400).json({
+          message: `Only ${fromStatus} payouts can be marked as ${toStatus}`,
+          success: false
+        });
+      }
+
+      return res.status(200).json({
+        message: `Payout marked as ${toStatus}`,
+        payout: await prisma.payout.findUnique({ where: { id } }),
+        success: true
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: 'Internal server error', success: false });
+    }
+  };
+};
+
+// Approve Payout (payout:approve:own)
+router.post('/payouts/:id/approve', requirePermission('payout:approve:own'), advancePayout('PENDING', 'APPROVED', (req) => ({
+  approvedBy: req.user.id,
+  approvedAt: new Date()
+})));
+
+// Mark Payout As Paid (payout:approve:own)
+router.post('/payouts/:id/paid', requirePermission('payout:approve:own'), advancePayout('APPROVED', 'PAID', (req) => ({
+  paidAt: new Date(),
+  reference: req.body.reference ?? null
+})));
+
+// Forgot Password (Admin)
+router.post('/password/forgot', passwordResetLimiter, async (req, res) => {
+  try {
+    requestPasswordReset('ADMIN', req.body.email);
+
+    return res.status(200).json({
+      message: 'If an account with that email exists, a password reset link has been sent',
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Reset Password (Admin)
+router.post('/password/reset', async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const result = await confirmPasswordReset('ADMIN', token, password);
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    clearSessionCookies(res);
+
+    return res.status(200).json({ message: 'Password reset successful, please log in again', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Forgot Password (Sub-admin)
+router.post('/subadmin/password/forgot', passwordResetLimiter, async (req, res) => {
+  try {
+    requestPasswordReset('SUB_ADMIN', req.body.email);
+
+    return res.status(200).json({
+      message: 'If an account with that email exists, a password reset link has been sent',
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Reset Password (Sub-admin)
+router.post('/subadmin/password/reset', async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const result = await confirmPasswordReset('SUB_ADMIN', token, password);
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    clearSessionCookies(res);
+
+    return res.status(200).json({ message: 'Password reset successful, please log in again', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Security Settings (settings:manage)
+router.get('/settings/security', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    return res.status(200).json({
+      message: 'Security settings fetched successfully',
+      settings: {
+        requireSubAdminTwoFactor: await getBooleanSetting(SETTINGS.REQUIRE_SUB_ADMIN_TWO_FACTOR)
+      },
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Update Security Settings (settings:manage)
+router.put('/settings/security', requirePermission('settings:manage'), async (req, res) => {
+  const { requireSubAdminTwoFactor } = req.body;
+
+  try {
+    if (typeof requireSubAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({ message: 'requireSubAdminTwoFactor must be true or false', success: false });
+    }
+
+    await setSetting(SETTINGS.REQUIRE_SUB_ADMIN_TWO_FACTOR, requireSubAdminTwoFactor);
+
+    // Sub-admins without 2FA are signed out, so the mandate reaches them at their next login
+    const signedOutSubAdmins = requireSubAdminTwoFactor ? await revokeUnenrolledSubAdminSessions() : 0;
+
+    return res.status(200).json({
+      message: 'Security settings updated successfully',
+      settings: { requireSubAdminTwoFactor },
+      signedOutSubAdmins,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Login Lockouts (lockout:manage, admin and sub-admin accounts also need lockout:manage:admins)
+router.get('/lockouts', requirePermission('lockout:manage'), async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+
+    return res.status(200).json({
+      message: 'Lockouts fetched successfully',
+      lockouts: lockouts.filter(lockout => lockout.subjectType === 'USER' || req.can('lockout:manage:admins')),
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Unlock Account (lockout:manage, admin and sub-admin accounts also need lockout:manage:admins)
+router.delete('/lockouts', requirePermission('lockout:manage'), async (req, res) => {
+  const { subjectType = 'USER', email } = req.body;
+
+  try {
+    if (!email || !['USER', 'ADMIN', 'SUB_ADMIN'].includes(subjectType)) {
+      return res.status(400).json({ message: 'Please provide an email and a valid subjectType', success: false });
+    }
+
+    if (subjectType !== 'USER' && !req.can('lockout:manage:admins')) {
+      return res.status(403).json({ message: 'You do not have permission to unlock admin accounts', success: false });
+    }
+
+    await unlockAccount(subjectType, email);
+
+    return res.status(200).json({ message: 'Account unlocked successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Refresh Access Token (Admin + Sub-admin)
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req, res, extractRefreshToken(req));
+
+    if (!result.success) {
+      clearSessionCookies(res);
+      return res.status(401).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({ message: 'Token refreshed', ...tokenResponse(req, result), success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Active Sessions (Admin + Sub-admin)
+router.get('/sessions', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.role, req.user.id);
+
+    return res.status(200).json({
+      message: 'Sessions fetched successfully',
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid })),
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Revoke Session (Admin + Sub-admin)
+router.delete('/sessions/:id', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  try {
+    const session = await findActiveSession(req.params.id, req.user.role, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found', success: false });
+    }
+
+    await revokeSession(session.id, 'revoked by user');
+
+    return res.status(200).json({ message: 'Session revoked successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+router.post('/logout', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  try {
+    if (req.user.sid) await revokeSession(req.user.sid, 'logout');
+    clearSessionCookies(res);
+
+    return res.status(200).json({ message: 'Logged out successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Logout From All Devices (Admin + Sub-admin)
+router.post('/logout-all', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.role, req.user.id, 'logout from all devices');
+    clearSessionCookies(res);
+
+    return res.status(200).json({ message: 'Logged out from all devices', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
 });
 
 export default router;
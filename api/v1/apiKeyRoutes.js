@@ -0,0 +1,102 @@
+import express from 'express';
+import requirePermission from './middleware/requirePermission.js';
+import { createApiKey, listApiKeys, findApiKey, revokeApiKey, listApiKeyUsage } from './services/apiKeyService.js';
+
+const router = express.Router();
+
+// Keys of the caller, or every key for admins with apikey:audit
+const getKeyScope = (req) => {
+  return req.can('apikey:audit') ? {} : { ownerId: req.user.id, ownerType: req.user.role };
+};
+
+// Create API Key (apikey:manage), the key itself is only ever returned here
+router.post('/', requirePermission('apikey:manage'), async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  try {
+    const result = await createApiKey({
+      owner: req.user,
+      ownerPermissions: req.permissions,
+      name,
+      scopes,
+      expiresInDays
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(201).json({
+      message: 'API key created, copy it now as it will not be shown again',
+      apiKey: result.apiKey,
+      key: result.key,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Get API Keys (apikey:manage)
+router.get('/', requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(getKeyScope(req));
+
+    return res.status(200).json({
+      message: 'API keys fetched successfully',
+      apiKeys,
+      count: apiKeys.length,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Get API Key Usage Log (apikey:manage)
+router.get('/:id/usage', requirePermission('apikey:manage'), async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+
+  try {
+    const apiKey = await findApiKey({ id, ...getKeyScope(req) });
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found', success: false });
+    }
+
+    const usage = await listApiKeyUsage(id, { limit });
+
+    return res.status(200).json({
+      message: 'API key usage fetched successfully',
+      apiKey,
+      usage,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Revoke API Key (apikey:manage)
+router.delete('/:id', requirePermission('apikey:manage'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const revoked = await revokeApiKey({ id, ...getKeyScope(req) });
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Active API key not found', success: false });
+    }
+
+    return res.status(200).json({ message: 'API key revoked successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+export default router;
@@ -1,78 +1,128 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 import bcrypt from "bcryptjs";
 import { PrismaClient } from '@prisma/client';
 import passport from "./config/passportConfig.js";
 import authenticate from './middleware/authenticate.js';
+import {
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  findActiveSession,
+  clearSessionCookies,
+  extractRefreshToken,
+  tokenResponse
+} from './services/sessionService.js';
+import { requestPasswordReset, confirmPasswordReset, changePassword } from './services/passwordResetService.js';
+import {
+  sendVerificationEmailSafely,
+  resendVerificationEmail,
+  verifyEmail
+} from './services/emailVerificationService.js';
+import {
+  resolveExternalLogin,
+  confirmIdentityLink,
+  listLinkedIdentities,
+  unlinkIdentity
+} from './services/identityService.js';
+import { checkCredentials, MIN_PASSWORD_LENGTH } from './services/credentialService.js';
+import { loginLimiter, signupLimiter, passwordResetLimiter } from './middleware/rateLimiters.js';
+import {
+  buildUserExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  sendExistingAccountNotice
+} from './services/accountService.js';
 
 dotenv.config();
 
-const JWT_SECRET_KEY = process.env.JWT_SECRET;
 const SALT_ROUNDS = 12;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const GOOGLE_SUCCESS_REDIRECT = process.env.GOOGLE_SUCCESS_REDIRECT || `${FRONTEND_URL}/dashboard`;
+const GOOGLE_FAILURE_REDIRECT = process.env.GOOGLE_FAILURE_REDIRECT || `${FRONTEND_URL}/login?error=google`;
 const prisma = new PrismaClient();
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user.id, email: user.email, role: user.role, name: user.name },
-    JWT_SECRET_KEY,
-    { expiresIn: '15d' }
-  );
+// What a user gets to see of their own account, never the password hash
+const profileSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  emailVerified: true,
+  emailVerifiedAt: true,
+  deletionScheduledAt: true
 };
 
 // User Signup Route
-router.post('/signup', async (req, res) => {
+// A registered email gets the same answer as a new one, the owner is told by mail instead
+router.post('/signup', signupLimiter, async (req, res) => {
   const { email, name, password } = req.body;
 
+  if (typeof email !== 'string' || !/^\S+@\S+\.\S+$/.test(email)) {
+    return res.status(400).json({ message: 'Please provide a valid email', success: false });
+  }
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ message: 'Please provide your name', success: false });
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      success: false
+    });
+  }
+
+  const signupResponse = {
+    message: 'Signup successful, please check your inbox to verify your email and then log in',
+    success: true
+  };
+
   try {
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
     const user = await prisma.user.create({
       data: {
         email,
-        name,
+        name: name.trim(),
         password: hashedPassword,
         role: 'USER',
       },
     });
 
-    const token = generateToken(user);
-    res.cookie('token', token, {
-      httpOnly: true,
-      sameSite: 'lax',
-    });
+    sendVerificationEmailSafely(user);
 
-    return res.status(201).json({ message: 'Signup successful', success: true });
+    return res.status(201).json(signupResponse);
   } catch (err) {
+    if (err.code === 'P2002') {
+      sendExistingAccountNotice(email);
+      return res.status(201).json(signupResponse);
+    }
+
     console.error(err);
     return res.status(500).json({ message: 'Internal server error', success: false });
   }
 });
 
 // User Login Route
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    const user = await prisma.user.findUnique({ where: { email } });
+    const result = await checkCredentials('USER', email, password);
 
-    if (!user)
-      return res.status(404).json({ message: 'User not found', success: false });
-
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
-      return res.status(401).json({ message: 'Invalid credentials', success: false });
+    if (!result.success) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
 
-    const token = generateToken(user);
-    res.cookie('token', token, {
-      httpOnly: true,
-      sameSite: 'lax',
-    });
+    const session = await startSession(req, res, result.subject);
 
-    return res.status(200).json({ message: 'Login successful', success: true });
+    return res.status(200).json({ message: 'Login successful', ...tokenResponse(req, session), success: true });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Internal server error', success: false });
@@ -90,41 +140,89 @@ router.get(
   '/google/dashboard/callback',
   passport.authenticate('google-dashboard', {
     session: false,
-    failureRedirect: '/login',
+    failureRedirect: GOOGLE_FAILURE_REDIRECT,
   }),
   async (req, res) => {
     try {
       const { profile } = req.user;
+      const [primaryEmail] = profile.emails ?? [];
 
-      const user = await prisma.user.upsert({
-        where: {
-          email: profile.emails[0].value,
-        },
-        create: {
-          name: profile.displayName,
-          email: profile.emails[0].value,
-          password: 'google',
-        },
-        update: {
-          name: profile.displayName,
-        },
+      if (!primaryEmail?.value)
+        return res.redirect(GOOGLE_FAILURE_REDIRECT);
+
+      const result = await resolveExternalLogin({
+        provider: 'google',
+        providerSubject: profile.id,
+        email: primaryEmail.value,
+        name: profile.displayName,
+        emailVerified: primaryEmail.verified === true || primaryEmail.verified === 'true'
       });
 
-      const token = generateToken(user);
+      // The email already has an account, its owner has to confirm with their password before we link
+      if (result.action === 'confirm')
+        return res.redirect(`${FRONTEND_URL}/link-account?token=${encodeURIComponent(result.token)}`);
 
-      res.cookie('token', token, {
-        httpOnly: true,
-        sameSite: 'lax',
-      });
+      await startSession(req, res, result.user);
 
-      res.send('user created');
+      return res.redirect(GOOGLE_SUCCESS_REDIRECT);
     } catch (e) {
       console.log(e);
-      res.status(500).json({ error: 'Internal server error' });
+      return res.redirect(GOOGLE_FAILURE_REDIRECT);
     }
   }
 );
 
+// Confirm Account Link Route
+router.post('/link/confirm', loginLimiter, async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const result = await confirmIdentityLink(token, password);
+
+    if (!result.success) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    const session = await startSession(req, res, result.user);
+
+    return res.status(200).json({ message: 'Account linked successfully', ...tokenResponse(req, session), success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Linked Identities Route
+router.get('/identities', authenticate(['USER']), async (req, res) => {
+  try {
+    const identities = await listLinkedIdentities(req.user.id);
+
+    if (!identities)
+      return res.status(404).json({ message: 'User not found', success: false });
+
+    return res.status(200).json({ ...identities, success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Unlink Identity Route
+router.delete('/identities/:provider', authenticate(['USER']), async (req, res) => {
+  try {
+    const result = await unlinkIdentity(req.user.id, req.params.provider);
+
+    if (!result.success)
+      return res.status(result.status).json({ message: result.message, success: false });
+
+    return res.status(200).json({ message: 'Provider unlinked successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
 // Protected Route Example (User)
 router.get('/dashboard', authenticate(['USER']), (req, res) => {
   return res.status(200).json({ message: `Welcome ${req.user.role}`, user: req.user });
@@ -132,23 +230,34 @@ router.get('/dashboard', authenticate(['USER']), (req, res) => {
 
 // Update Profile Route
 router.put('/profile', authenticate(['USER']), async (req, res) => {
-  const { name, password } = req.body;
+  const { name, password, currentPassword } = req.body;
   const userId = req.user.id;
 
   try {
-    const updatedData = {};
-    if (name) updatedData.name = name;
-    if (password) updatedData.password = await bcrypt.hash(password, SALT_ROUNDS);
+    // A new password goes through the same rules as a reset and signs every device out
+    if (password) {
+      const result = await changePassword('USER', userId, currentPassword, password);
+
+      if (!result.success) {
+        if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+        return res.status(result.status).json({ message: result.message, success: false });
+      }
+    }
 
     const updatedUser = await prisma.user.update({
       where: {
         id: userId,
       },
-      data: updatedData,
+      data: name ? { name } : {},
+      select: profileSelect
     });
 
+    if (password) {
+      clearSessionCookies(res);
+    }
+
     return res.status(200).json({
-      message: 'Profile updated successfully',
+      message: password ? 'Profile updated, please log in again with your new password' : 'Profile updated successfully',
       success: true,
       user: updatedUser,
     });
@@ -165,7 +274,7 @@ router.get('/profile', authenticate(['USER']), async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { id: true, email: true, name: true, role: true },
+      select: profileSelect,
     });
 
     if (!user)
@@ -178,14 +287,204 @@ router.get('/profile', authenticate(['USER']), async (req, res) => {
   }
 });
 
+// Verify Email Route
+router.post('/verify-email', async (req, res) => {
+  try {
+    const result = await verifyEmail(req.body.token);
+
+    if (!result.success)
+      return res.status(result.status).json({ message: result.message, success: false });
+
+    return res.status(200).json({ message: 'Email verified successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Resend Verification Email Route
+router.post('/verify-email/resend', authenticate(['USER']), async (req, res) => {
+  try {
+    const result = await resendVerificationEmail(req.user.id);
+
+    if (!result.success) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({ message: 'Verification email sent', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Forgot Password Route
+router.post('/password/forgot', passwordResetLimiter, async (req, res) => {
+  try {
+    requestPasswordReset('USER', req.body.email);
+
+    return res.status(200).json({
+      message: 'If an account with that email exists, a password reset link has been sent',
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Reset Password Route
+router.post('/password/reset', async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const result = await confirmPasswordReset('USER', token, password);
+
+    if (!result.success)
+      return res.status(result.status).json({ message: result.message, success: false });
+
+    clearSessionCookies(res);
+
+    return res.status(200).json({ message: 'Password reset successful, please log in again', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Refresh Access Token Route
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req, res, extractRefreshToken(req));
+
+    if (!result.success) {
+      clearSessionCookies(res);
+      return res.status(401).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({ message: 'Token refreshed', ...tokenResponse(req, result), success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Active Sessions Route
+router.get('/sessions', authenticate(['USER']), async (req, res) => {
+  try {
+    const sessions = await listActiveSessions('USER', req.user.id);
+
+    return res.status(200).json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid })),
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Revoke Session Route
+router.delete('/sessions/:id', authenticate(['USER']), async (req, res) => {
+  try {
+    const session = await findActiveSession(req.params.id, 'USER', req.user.id);
+
+    if (!session)
+      return res.status(404).json({ message: 'Session not found', success: false });
+
+    await revokeSession(session.id, 'revoked by user');
+
+    return res.status(200).json({ message: 'Session revoked successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Export Account Data Route (?format=json|zip)
+router.get('/account/export', authenticate(['USER']), async (req, res) => {
+  const { format = 'json' } = req.query;
+
+  try {
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json or zip', success: false });
+    }
+
+    const file = await buildUserExport(req.user.id, format);
+
+    if (!file)
+      return res.status(404).json({ message: 'User not found', success: false });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.attachment(file.filename);
+    return res.send(file.body);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Request Account Deletion Route, personal data is anonymized once the grace period is over
+router.post('/account/deletion', authenticate(['USER']), loginLimiter, async (req, res) => {
+  try {
+    const result = await requestAccountDeletion(req.user.id, req.body.password);
+
+    if (!result.success) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(202).json({
+      message: 'Account deletion scheduled',
+      deletionScheduledAt: result.deletionScheduledAt,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Cancel Account Deletion Route
+router.delete('/account/deletion', authenticate(['USER']), async (req, res) => {
+  try {
+    const cancelled = await cancelAccountDeletion(req.user.id);
+
+    if (!cancelled)
+      return res.status(404).json({ message: 'No account deletion is pending', success: false });
+
+    return res.status(200).json({ message: 'Account deletion cancelled', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
 // Logout Route
-router.post('/logout', authenticate(['USER']), (req, res) => {
-  res.clearCookie('token', {
-    httpOnly: true,
-    sameSite: 'lax',
-  });
+router.post('/logout', authenticate(['USER']), async (req, res) => {
+  try {
+    if (req.user.sid) await revokeSession(req.user.sid, 'logout');
+    clearSessionCookies(res);
 
-  return res.status(200).json({ message: 'Logged out successfully', success: true });
+    return res.status(200).json({ message: 'Logged out successfully', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Logout From All Devices Route
+router.post('/logout-all', authenticate(['USER']), async (req, res) => {
+  try {
+    await revokeAllSessions('USER', req.user.id, 'logout from all devices');
+    clearSessionCookies(res);
+
+    return res.status(200).json({ message: 'Logged out from all devices', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
 });
 
 export default router;
@@ -1,23 +1,6 @@
-import jwt from 'jsonwebtoken';
-import dotenv from 'dotenv';
-const dotenvParsed = dotenv.config().parsed;
-const JWT_SECRET_MIDDLEWARE = dotenvParsed.JWT_SECRET;
+import authenticate from './authenticate.js';
 
-const authMiddleware = async (req, res, next) => {
-  const token = req.cookies.token;
+// Any logged in user, admin or sub-admin. API keys need the quiz:view scope
+const authMiddleware = authenticate(['USER', 'ADMIN', 'SUB_ADMIN'], 'quiz:view');
 
-  if (!token) {
-    return res.status(401).json({ "error": "Unauthorized" , "success" : false });
-  }
-
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET_MIDDLEWARE);
-    req.user = decoded;
-    next();
-  } 
-  catch (err) {
-    return res.status(500).json({ "error": "Internal Server Error" });
-  }
-};
-
-export default authMiddleware;
\ No newline at end of file
+export default authMiddleware;
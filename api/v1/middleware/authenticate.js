@@ -1,25 +1,41 @@
-import jwt from 'jsonwebtoken'
-import dotenv from 'dotenv';
+import { verifyRequestToken } from '../utils/authToken.js';
+import { extractApiKey, resolveApiKeyRequest } from '../services/apiKeyService.js';
 
-dotenv.config();
-const JWT_SECRET_KEY = process.env.JWT_SECRET
+/**
+ * Let the listed roles through, with an access token or an API key. A key acts as its owner and is only
+ * accepted when the route names a scope the key holds, routes without one (sessions, 2FA) stay interactive.
+ * Key requests also get req.apiKey, req.ownerAdminId and req.can(permission) like requirePermission sets them.
+ */
+const authenticate = (roles, scope) => {
+  return async (req, res, next) => {
+    try {
+      const key = extractApiKey(req);
+      const resolved = key ? await resolveApiKeyRequest(req, res, key) : verifyRequestToken(req);
 
-const authenticate = (roles) => {
-  return (req, res, next) => {
-    const token = req.cookies.token;
-    if (!token) return res.status(401).json({ message: 'Unauthorized', success: false });
+      const { user } = resolved;
+      if (!user) return res.status(resolved.status).json({ message: resolved.message, success: false });
 
-    jwt.verify(token, JWT_SECRET_KEY, (err, decoded) => {
-      if (err) return res.status(403).json({ message: 'Invalid token', success: false  , err});
-
-      if (!roles.includes(decoded.role)) {
+      if (!roles.includes(user.role)) {
         return res.status(403).json({ message: 'Access denied', success: false });
       }
 
-      req.user = decoded;
+      if (key) {
+        if (!scope || !resolved.can(scope)) {
+          return res.status(403).json({ message: 'Access denied', success: false });
+        }
+
+        req.ownerAdminId = resolved.ownerAdminId;
+        req.permissions = resolved.permissions;
+        req.can = resolved.can;
+      }
+
+      req.user = user;
       next();
-    });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: 'Internal server error', success: false });
+    }
   };
 };
 
-export default authenticate;
\ No newline at end of file
+export default authenticate;
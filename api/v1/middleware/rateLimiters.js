@@ -0,0 +1,78 @@
+import rateLimit from 'express-rate-limit';
+import dotenv from 'dotenv';
+import { getThrottleStore } from '../services/throttleStore.js';
+
+dotenv.config();
+
+// Adapts the pluggable throttle store to the store interface express-rate-limit expects
+class ThrottleRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `rate-limit:${prefix}:`;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const entry = await getThrottleStore().get(this.prefix + key);
+    return entry && { totalHits: entry.count, resetTime: entry.resetTime };
+  }
+
+  async increment(key) {
+    const entry = await getThrottleStore().increment(this.prefix + key, this.windowMs);
+    return { totalHits: entry.count, resetTime: entry.resetTime };
+  }
+
+  async decrement(key) {
+    await getThrottleStore().decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await getThrottleStore().reset(this.prefix + key);
+  }
+}
+
+const createLimiter = (name, windowMs, limit, message, keyGenerator) => rateLimit({
+  windowMs,
+  limit,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: new ThrottleRateLimitStore(name),
+  message: { message, success: false },
+  ...(keyGenerator && { keyGenerator })
+});
+
+const emailKey = (req) => String(req.body?.email ?? '').trim().toLowerCase();
+
+// Per IP, on top of the per account lockout
+export const loginLimiter = createLimiter(
+  'login',
+  15 * 60 * 1000,
+  Number(process.env.LOGIN_RATE_LIMIT) || 20,
+  'Too many login attempts from this IP, please try again later'
+);
+
+export const signupLimiter = createLimiter(
+  'signup',
+  60 * 60 * 1000,
+  Number(process.env.SIGNUP_RATE_LIMIT) || 10,
+  'Too many accounts created from this IP, please try again later'
+);
+
+// Per IP and per address, so one inbox cannot be flooded from many IPs either
+export const passwordResetLimiter = [
+  createLimiter(
+    'password-reset-ip',
+    60 * 60 * 1000,
+    Number(process.env.PASSWORD_RESET_RATE_LIMIT) || 10,
+    'Too many password reset requests from this IP, please try again later'
+  ),
+  createLimiter(
+    'password-reset-email',
+    60 * 60 * 1000,
+    Number(process.env.PASSWORD_RESET_EMAIL_RATE_LIMIT) || 3,
+    'Too many password reset requests for this email, please try again later',
+    emailKey
+  )
+];
@@ -0,0 +1,51 @@
+import { verifyRequestToken } from '../utils/authToken.js';
+import { resolvePermissions, hasPermission } from '../services/permissionService.js';
+import { extractApiKey, resolveApiKeyRequest } from '../services/apiKeyService.js';
+
+const resolveTokenRequest = async (req) => {
+  const { user, status, message } = verifyRequestToken(req);
+  if (!user) return { status, message };
+
+  const resolved = await resolvePermissions(user);
+  if (!resolved) return { status: 403, message: 'Access denied' };
+
+  return {
+    user,
+    ownerAdminId: resolved.ownerAdminId,
+    permissions: resolved.permissions,
+    can: (permission) => hasPermission(resolved.permissions, permission)
+  };
+};
+
+/**
+ * Let admins and sub-admins through when they hold the permission, checked against the database on every request
+ * so changes apply right away. Accepts an access token or an API key. Sets req.user, req.ownerAdminId and
+ * req.can(permission) for finer checks in the route, plus req.apiKey for requests made with a key.
+ */
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const key = extractApiKey(req);
+      const resolved = key ? await resolveApiKeyRequest(req, res, key) : await resolveTokenRequest(req);
+
+      if (!resolved.user) {
+        return res.status(resolved.status).json({ message: resolved.message, success: false });
+      }
+
+      if (!resolved.can(permission)) {
+        return res.status(403).json({ message: 'Access denied', success: false });
+      }
+
+      req.user = resolved.user;
+      req.ownerAdminId = resolved.ownerAdminId;
+      req.permissions = resolved.permissions;
+      req.can = resolved.can;
+      next();
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ message: 'Internal server error', success: false });
+    }
+  };
+};
+
+export default requirePermission;
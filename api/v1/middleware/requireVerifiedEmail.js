@@ -0,0 +1,30 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Must run after an auth middleware. Only user accounts carry a verification status
+const requireVerifiedEmail = async (req, res, next) => {
+  if (req.user?.role !== 'USER') return next();
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { emailVerified: true }
+    });
+
+    if (!user?.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        emailVerificationRequired: true,
+        message: 'Please verify your email address first'
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+};
+
+export default requireVerifiedEmail;
@@ -1,6 +1,576 @@
 import express from 'express';
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import authenticate from './middleware/authenticate.js';
+import requireVerifiedEmail from './middleware/requireVerifiedEmail.js';
+import { getPaymentProvider, isMockPaymentProviderEnabled } from './services/paymentProvider.js';
+import { PAID_STATUSES, cancelPayment, refundPayment, settlePendingPayment } from './services/paymentService.js';
+import { applyCoupon, normalizeCouponCode, redeemCoupon } from './services/couponService.js';
+import { issueReceipt, issueReceiptSafely, sendReceipt } from './services/receiptService.js';
 
+dotenv.config();
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'INR';
+const prisma = new PrismaClient();
 const router = express.Router();
 
+// Ask the provider for the latest status of a pending payment and persist any change
+const syncPaymentStatus = async (payment) => {
+  if (payment.status !== 'PENDING' || !payment.providerPaymentId) {
+    return payment;
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const status = await provider.getPaymentStatus(payment.providerPaymentId);
+
+  if (status === payment.status) {
+    return payment;
+  }
+
+  const statusChanged = await settlePendingPayment(payment.id, status);
+
+  const updatedPayment = await prisma.payment.findUnique({
+    where: { id: payment.id },
+    include: {
+      quiz: {
+        select: {
+          id: true,
+          title: true
+        }
+      }
+    }
+  });
+
+  if (statusChanged && updatedPayment.status === 'COMPLETED') {
+    await issueReceiptSafely(updatedPayment.id);
+  }
+
+  return updatedPayment;
+};
+
+// A payment with a coupon is created in the same transaction that takes one of the coupon's uses
+const createPayment = async (pricing, data) => {
+  // activeQuizId is unique per user and stays set while the payment is open or paid, so of two checkouts
+  // for the same quiz racing each other only one is created
+  const paymentData = { ...data, activeQuizId: data.quizId };
+
+  try {
+    if (!pricing.coupon) {
+      return { success: true, payment: await prisma.payment.create({ data: paymentData }) };
+    }
+
+    return await redeemCoupon({ coupon: pricing.coupon, userId: data.userId, paymentData });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return { success: false, status: 409, message: 'A checkout for this quiz is already in progress' };
+    }
+    throw error;
+  }
+};
+
+const formatCheckout = (payment) => ({
+  paymentId: payment.id,
+  originalAmount: payment.originalAmount ?? payment.amount,
+  discountAmount: payment.discountAmount,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  checkoutUrl: payment.checkoutUrl
+});
+
+/**
+ * @desc Start a checkout for a priced quiz, optionally with a coupon code
+ * @route POST /api/v1/payment/checkout
+ * @access Private (User only)
+ */
+router.post('/checkout', authenticate(['USER']), requireVerifiedEmail, async (req, res) => {
+  const { quizId, couponCode } = req.body;
+  const userId = req.user.id;
+
+  try {
+    if (!quizId) {
+      return res.status(400).json({ success: false, message: 'Please provide a quizId' });
+    }
+
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId }
+    });
+
+    if (!quiz) {
+      return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+
+    if (!quiz.price || quiz.price <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quiz is free and does not require payment'
+      });
+    }
+
+    if (quiz.endDate && quiz.endDate < new Date()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This quiz has already ended and is no longer available.'
+      });
+    }
+
+    const openPayments = await prisma.payment.findMany({
+      where: {
+        userId,
+        quizId,
+        status: { in: ['PENDING', ...PAID_STATUSES] }
+      },
+      include: {
+        coupon: {
+          select: { code: true }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    const existingPayments = await Promise.all(openPayments.map(syncPaymentStatus));
+
+    if (existingPayments.some(payment => PAID_STATUSES.includes(payment.status))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already paid for this quiz'
+      });
+    }
+
+    // Hand back the open checkout instead of charging the user twice, unless the coupon changed
+    const requestedCode = couponCode ? normalizeCouponCode(couponCode) : null;
+    const pendingPayment = existingPayments.find(payment => payment.status === 'PENDING' && payment.checkoutUrl);
+
+    if (pendingPayment && (pendingPayment.coupon?.code ?? null) === requestedCode) {
+      return res.status(200).json({
+        success: true,
+        data: formatCheckout(pendingPayment)
+      });
+    }
+
+    let pricing = {
+      coupon: null,
+      originalAmount: quiz.price,
+      discountAmount: 0,
+      amount: quiz.price
+    };
+
+    if (requestedCode) {
+      const result = await applyCoupon({ code: requestedCode, userId, quiz });
+
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+
+      pricing = result;
+    }
+
+    // The old checkout used a different coupon, close it so only one can ever be paid
+    if (pendingPayment) {
+      await cancelPayment({ paymentId: pendingPayment.id });
+    }
+
+    // Fully discounted entries never reach the gateway
+    if (pricing.amount <= 0) {
+      const result = await createPayment(pricing, {
+        userId,
+        quizId,
+        adminId: quiz.adminId,
+        amount: 0,
+        originalAmount: pricing.originalAmount,
+        discountAmount: pricing.discountAmount,
+        currency: PAYMENT_CURRENCY,
+        provider: 'none',
+        status: 'COMPLETED',
+        completedAt: new Date()
+      });
+
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+
+      const freePayment = result.payment;
+
+      await issueReceiptSafely(freePayment.id);
+
+      return res.status(201).json({
+        success: true,
+        data: formatCheckout(freePayment)
+      });
+    }
+
+    const provider = getPaymentProvider();
+
+    const result = await createPayment(pricing, {
+      userId,
+      quizId,
+      adminId: quiz.adminId,
+      amount: pricing.amount,
+      originalAmount: pricing.originalAmount,
+      discountAmount: pricing.discountAmount,
+      currency: PAYMENT_CURRENCY,
+      provider: provider.name,
+      status: 'PENDING'
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    const { payment } = result;
+
+    const { providerPaymentId, checkoutUrl } = await provider.createCheckout({
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      user: req.user,
+      quiz
+    });
+
+    const updatedPayment = await prisma.payment.update({
+      where: { id: payment.id },
+      data: { providerPaymentId, checkoutUrl }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatCheckout(updatedPayment)
+    });
+  } catch (error) {
+    console.error('Error creating checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating checkout',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @desc Get all payments made by the logged-in user
+ * @route GET /api/v1/payment/user/payments
+ * @access Private (User only)
+ */
+router.get('/user/payments', authenticate(['USER']), async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const payments = await prisma.payment.findMany({
+      where: {
+        userId
+      },
+      include: {
+        quiz: {
+          select: {
+            id: true,
+            title: true
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    const formattedPayments = payments.map(payment => ({
+      paymentId: payment.id,
+      quizId: payment.quizId,
+      quizTitle: payment.quiz?.title ?? null,
+      originalAmount: payment.originalAmount ?? payment.amount,
+      discountAmount: payment.discountAmount,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      completedAt: payment.completedAt,
+      createdAt: payment.createdAt,
+      updatedAt: payment.updatedAt
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: formattedPayments.length,
+      data: formattedPayments
+    });
+  } catch (error) {
+    console.error('Error getting user payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting user payments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Apply a verified gateway event to its payment, at most once per event ID.
+ * Resolves to { duplicate, paymentFound } for the webhook response.
+ */
+const processWebhookEvent = async (provider, event) => {
+  let result;
+
+  try {
+    result = await prisma.$transaction(async (prisma) => {
+      const processed = await prisma.webhookEvent.findUnique({
+        where: {
+          provider_eventId: {
+            provider: provider.name,
+            eventId: event.id
+          }
+        }
+      });
+
+      if (processed) {
+        return { duplicate: true };
+      }
+
+      const payment = await prisma.payment.findUnique({
+        where: { providerPaymentId: event.providerPaymentId }
+      });
+
+      await prisma.webhookEvent.create({
+        data: {
+          provider: provider.name,
+          eventId: event.id,
+          type: event.type,
+          paymentId: payment?.id ?? null
+        }
+      });
+
+      // Only pending payments move, a late FAILED must never undo a COMPLETED payment
+      const statusChanged = Boolean(payment && event.status) &&
+        await settlePendingPayment(payment.id, event.status, prisma);
+
+      const completed = statusChanged && event.status === 'COMPLETED';
+
+      return {
+        duplicate: false,
+        paymentFound: Boolean(payment),
+        completedPaymentId: completed ? payment.id : null,
+        orphanedPaymentId: completed && !payment.quizId ? payment.id : null
+      };
+    });
+  } catch (error) {
+    // Two deliveries of the same event raced each other, the other one already handled it
+    if (error.code === 'P2002') {
+      return { duplicate: true };
+    }
+    throw error;
+  }
+
+  const { completedPaymentId, orphanedPaymentId, ...summary } = result;
+
+  if (completedPaymentId) {
+    await issueReceiptSafely(completedPaymentId);
+  }
+
+  // The checkout was paid after its quiz was deleted, there is nothing left to give access to
+  if (orphanedPaymentId) {
+    try {
+      const refund = await refundPayment({ paymentId: orphanedPaymentId, reason: 'Quiz no longer available' });
+
+      if (!refund.success) {
+        console.error(`Could not refund payment ${orphanedPaymentId} for a deleted quiz:`, refund.message);
+      }
+    } catch (error) {
+      console.error(`Could not refund payment ${orphanedPaymentId} for a deleted quiz:`, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * @desc Receive payment callbacks from the gateway
+ * @route POST /api/v1/payment/webhook
+ * @access Public (signed by the payment provider)
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    const event = provider.parseWebhook(req.rawBody, req.headers);
+
+    if (!event) {
+      return res.status(401).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    if (!event.id || !event.providerPaymentId) {
+      return res.status(400).json({ success: false, message: 'Malformed webhook event' });
+    }
+
+    const summary = await processWebhookEvent(provider, event);
+
+    res.status(200).json({ success: true, received: true, ...summary });
+  } catch (error) {
+    console.error('Error processing payment webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing payment webhook',
+      error: error.message
+    });
+  }
+});
+
+// Never mounted in production unless ALLOW_MOCK_PAYMENTS is set, see paymentProvider.js
+if (isMockPaymentProviderEnabled()) {
+  /**
+   * @desc Simulate the hosted checkout page of the mock provider
+   * @route POST /api/v1/payment/mock/:providerPaymentId
+   * @access Private (User only, mock provider outside production only)
+   */
+  router.post('/mock/:providerPaymentId', authenticate(['USER']), async (req, res) => {
+    const { providerPaymentId } = req.params;
+    const { status = 'COMPLETED' } = req.body;
+    const userId = req.user.id;
+
+    try {
+      const provider = getPaymentProvider();
+
+      if (provider.name !== 'mock') {
+        return res.status(404).json({ success: false, message: 'Not found' });
+      }
+
+      if (!['COMPLETED', 'FAILED'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status must be either COMPLETED or FAILED'
+        });
+      }
+
+      const payment = await prisma.payment.findFirst({
+        where: {
+          providerPaymentId,
+          userId
+        }
+      });
+
+      if (!payment) {
+        return res.status(404).json({ success: false, message: 'Payment not found' });
+      }
+
+      await provider.setPaymentStatus(providerPaymentId, status);
+
+      // Deliver the callback the gateway would send ourselves, signed payloads never leave the server
+      await processWebhookEvent(provider, provider.createEvent(providerPaymentId, status));
+
+      res.status(200).json({
+        success: true,
+        message: `Mock checkout marked as ${status}`
+      });
+    } catch (error) {
+      console.error('Error updating mock checkout:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating mock checkout',
+        error: error.message
+      });
+    }
+  });
+}
+
+/**
+ * @desc Download the receipt of a paid payment as HTML or PDF
+ * @route GET /api/v1/payment/:paymentId/receipt?format=html|pdf
+ * @access Private (User only)
+ */
+router.get('/:paymentId/receipt', authenticate(['USER']), async (req, res) => {
+  const { paymentId } = req.params;
+  const { format = 'html' } = req.query;
+  const userId = req.user.id;
+
+  try {
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be html or pdf' });
+    }
+
+    const payment = await prisma.payment.findFirst({
+      where: {
+        id: paymentId,
+        userId
+      }
+    });
+
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const receipt = await issueReceipt(payment.id);
+
+    if (!receipt) {
+      return res.status(400).json({
+        success: false,
+        message: 'A receipt is only available once the payment has completed'
+      });
+    }
+
+    sendReceipt(res, receipt, format);
+  } catch (error) {
+    console.error('Error getting receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting receipt',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @desc Get the status of a single payment
+ * @route GET /api/v1/payment/:paymentId
+ * @access Private (User only)
+ */
+router.get('/:paymentId', authenticate(['USER']), async (req, res) => {
+  const { paymentId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const payment = await prisma.payment.findFirst({
+      where: {
+        id: paymentId,
+        userId
+      },
+      include: {
+        quiz: {
+          select: {
+            id: true,
+            title: true
+          }
+        }
+      }
+    });
+
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const currentPayment = await syncPaymentStatus(payment);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        paymentId: currentPayment.id,
+        quizId: currentPayment.quizId,
+        quizTitle: currentPayment.quiz?.title ?? null,
+        originalAmount: currentPayment.originalAmount ?? currentPayment.amount,
+        discountAmount: currentPayment.discountAmount,
+        amount: currentPayment.amount,
+        currency: currentPayment.currency,
+        status: currentPayment.status,
+        checkoutUrl: currentPayment.status === 'PENDING' ? currentPayment.checkoutUrl : null,
+        completedAt: currentPayment.completedAt,
+        createdAt: currentPayment.createdAt,
+        updatedAt: currentPayment.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error getting payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting payment',
+      error: error.message
+    });
+  }
+});
 
-export default router;
\ No newline at end of file
+export default router;
@@ -2,19 +2,85 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import authMiddleware from './middleware/authMiddleware.js'
 import authenticate from './middleware/authenticate.js';
+import requireVerifiedEmail from './middleware/requireVerifiedEmail.js';
+import requirePermission from './middleware/requirePermission.js';
+import { PAID_STATUSES, refundPayment, cancelPayment } from './services/paymentService.js';
+import { calculatePrizePool, settleQuizPrizes } from './services/payoutService.js';
+import { resolvePermissions, hasPermission } from './services/permissionService.js';
+import {
+  parseQuestions,
+  parseScoringSettings,
+  parseAnswer,
+  toPublicQuestion
+} from './services/questionService.js';
+import {
+  parseAttemptSettings,
+  getServedQuestions,
+  getAttemptDeadline,
+  isPastDeadline,
+  startAttempt,
+  findCurrentAttempt,
+  listAttempts,
+  nextAttemptAvailableAt,
+  startNextAttempt,
+  applyScoringPolicy,
+  recalculateLeaderboard,
+  gradeAttempt,
+  closeAttempt
+} from './services/attemptService.js';
 
 const prisma = new PrismaClient();
 const router = express.Router();
 
+// Position on the leaderboard, users with the same score share a rank
+const getLeaderboardRank = async (entry) => {
+  if (!entry) return null;
+
+  const ahead = await prisma.leaderBoardEntry.count({
+    where: {
+      leaderboardId: entry.leaderboardId,
+      score: { gt: entry.score }
+    }
+  });
+
+  return ahead + 1;
+};
+
+// Whether the caller may edit this quiz, and so may see its answer key
+const canManageQuiz = async (user, quiz) => {
+  const resolved = await resolvePermissions(user);
+  if (!resolved) return false;
+
+  if (hasPermission(resolved.permissions, 'quiz:update:any')) return true;
+  return hasPermission(resolved.permissions, 'quiz:update:own') && quiz.adminId === resolved.ownerAdminId;
+};
+
 /**
  * @desc Create a new quiz
  * @route POST /api/v1/quiz/create-quiz
- * @access Private (Admin only)
+ * @access Private (Admins and sub-admins with quiz:create)
  * @tested True
  */
-router.post('/create-quiz', authenticate(['ADMIN']), async (req, res) => {
-  const { title, description, price, questions, startDate, endDate } = req.body;
-  const adminId = req.user.id;
+router.post('/create-quiz', requirePermission('quiz:create'), async (req, res) => {
+  const {
+    title,
+    description,
+    price,
+    questions,
+    startDate,
+    endDate,
+    durationMinutes,
+    shuffleQuestions,
+    shuffleOptions,
+    questionCount,
+    maxAttempts,
+    attemptCooldownMinutes,
+    scoringPolicy,
+    partialCredit,
+    negativeMarking
+  } = req.body;
+  // Quizzes created by sub-admins belong to their admin
+  const adminId = req.ownerAdminId;
 
   try {
     if (!title || !description || !questions || !Array.isArray(questions) || questions.length === 0) {
@@ -23,6 +89,29 @@ router.post('/create-quiz', authenticate(['ADMIN']), async (req, res) => {
       });
     }
 
+    const { questions: questionData, error: questionError } = parseQuestions(questions);
+    if (questionError) {
+      return res.status(400).json({ success: false, message: questionError });
+    }
+
+    const { data: scoringSettings, error: scoringError } = parseScoringSettings({ partialCredit, negativeMarking });
+    if (scoringError) {
+      return res.status(400).json({ success: false, message: scoringError });
+    }
+
+    const { data: attemptSettings, error: attemptError } = parseAttemptSettings({
+      durationMinutes,
+      shuffleQuestions,
+      shuffleOptions,
+      questionCount,
+      maxAttempts,
+      attemptCooldownMinutes,
+      scoringPolicy
+    });
+    if (attemptError) {
+      return res.status(400).json({ success: false, message: attemptError });
+    }
+
     // Parse dates if they're provided
     const parsedStartDate = startDate ? new Date(startDate) : null;
     const parsedEndDate = endDate ? new Date(endDate) : null;
@@ -41,17 +130,11 @@ router.post('/create-quiz', authenticate(['ADMIN']), async (req, res) => {
         price,
         startDate: parsedStartDate,
         endDate: parsedEndDate,
+        ...scoringSettings,
+        ...attemptSettings,
         adminId,
         questions: {
-          create: questions.map(question => ({
-            text: question.text,
-            correctAnswer: question.correctAnswer,
-            options: {
-              create: question.options.map(option => ({
-                text: option.text
-              }))
-            }
-          }))
+          create: questionData
         }
       },
       include: {
@@ -95,7 +178,8 @@ router.get('/quizzes', authMiddleware, async (req, res) => {
       include: {
         _count: {
           select: {
-            attempts: true
+            // Every participant has exactly one first attempt
+            attempts: { where: { attemptNumber: 1 } }
           }
         },
         questions: {
@@ -188,7 +272,8 @@ router.get('/upcoming', authMiddleware, async (req, res) => {
       include: {
         _count: {
           select: {
-            attempts: true
+            // Every participant has exactly one first attempt
+            attempts: { where: { attemptNumber: 1 } }
           }
         },
         questions: {
@@ -259,7 +344,8 @@ router.get('/ongoing', authMiddleware, async (req, res) => {
       include: {
         _count: {
           select: {
-            attempts: true
+            // Every participant has exactly one first attempt
+            attempts: { where: { attemptNumber: 1 } }
           }
         },
         questions: {
@@ -313,7 +399,8 @@ router.get('/completed', authMiddleware, async (req, res) => {
       include: {
         _count: {
           select: {
-            attempts: true
+            // Every participant has exactly one first attempt
+            attempts: { where: { attemptNumber: 1 } }
           }
         },
         questions: {
@@ -368,27 +455,34 @@ router.get('/user/quizzes/completed', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     
-    // Find all quizzes where the user has completed attempts
-    const completedQuizzes = await prisma.quizAttempt.findMany({
+    // One row per quiz, however many times the user attempted it
+    const completedQuizzes = await prisma.quiz.findMany({
       where: {
-        userId,
-        completed: true
+        attempts: {
+          some: {
+            userId,
+            completed: true
+          }
+        }
       },
       include: {
-        quiz: {
+        questions: {
+          select: {
+            id: true,
+            points: true
+          }
+        },
+        attempts: {
+          where: {
+            userId,
+            completed: true
+          }
+        },
+        leaderboard: {
           include: {
-            questions: {
-              select: {
-                id: true
-              }
-            },
-            leaderboard: {
-              include: {
-                entries: {
-                  where: {
-                    userId
-                  }
-                }
+            entries: {
+              where: {
+                userId
               }
             }
           }
@@ -396,27 +490,31 @@ router.get('/user/quizzes/completed', authMiddleware, async (req, res) => {
       }
     });
 
-    const formattedQuizzes = completedQuizzes.map(attempt => {
-      const quiz = attempt.quiz;
+    const formattedQuizzes = await Promise.all(completedQuizzes.map(async quiz => {
+      // The score that counts follows the quiz's scoring policy, like the leaderboard
+      const summary = applyScoringPolicy(quiz, quiz.attempts);
       const userLeaderboardEntry = quiz.leaderboard?.entries[0];
-      
+
       return {
         id: quiz.id,
         title: quiz.title,
         description: quiz.description,
-        yourScore: attempt.score,
-        totalQuestions: quiz.questions.length,
-        leaderboardRank: userLeaderboardEntry ? userLeaderboardEntry.score : null,
-        attemptedAt: attempt.updatedAt,
+        scoringPolicy: quiz.scoringPolicy,
+        yourScore: summary.score,
+        maxScore: summary.maxScore,
+        attemptsCompleted: quiz.attempts.length,
+        totalQuestions: summary.attempt.questionOrder.length || quiz.questions.length,
+        leaderboardRank: await getLeaderboardRank(userLeaderboardEntry),
+        attemptedAt: summary.attempt.completedAt ?? summary.attempt.updatedAt,
         createdAt: quiz.createdAt,
         updatedAt: quiz.updatedAt
       };
-    });
+    }));
 
     res.status(200).json({
       success: true,
       data: formattedQuizzes,
-      count: completedQuizzes.length
+      count: formattedQuizzes.length
     });
   }
   catch (error) {
@@ -439,7 +537,7 @@ router.get('/user/quizzes/upcoming', authMiddleware, async (req, res) => {
     const upcomingQuizzes = await prisma.payment.findMany({
       where: {
         userId,
-        status: 'COMPLETED',
+        status: { in: PAID_STATUSES },
         quiz: {
           OR: [
             { startDate: { gt: currentDate } },
@@ -521,7 +619,8 @@ router.get('/:quizId', authMiddleware, async (req, res) => {
         },
         _count: {
           select: {
-            attempts: true
+            // Every participant has exactly one first attempt
+            attempts: { where: { attemptNumber: 1 } }
           }
         },
         leaderboard: {
@@ -559,6 +658,7 @@ router.get('/:quizId', authMiddleware, async (req, res) => {
 
     const formattedQuiz = {
       ...quiz,
+      questions: await canManageQuiz(req.user, quiz) ? quiz.questions : quiz.questions.map(toPublicQuestion),
       totalParticipants: quiz._count.attempts,
       totalQuestions: quiz.questions.length,
       leaderboardEntries: quiz.leaderboard?._count.entries ?? 0,
@@ -585,19 +685,18 @@ router.get('/:quizId', authMiddleware, async (req, res) => {
 /**
  * @desc Update quiz (partial update)
  * @route PATCH /api/v1/quiz/:quizId
- * @access Private (Admin only)
+ * @access Private (Admins and sub-admins with quiz:update:own)
  * @tested True
  */
-router.patch('/:quizId', authenticate(['ADMIN']), async (req, res) => {
+router.patch('/:quizId', requirePermission('quiz:update:own'), async (req, res) => {
   const { quizId } = req.params;
-  const adminId = req.user.id;
   const updates = req.body;
 
   try {
     const existingQuiz = await prisma.quiz.findFirst({
       where: {
         id: quizId,
-        adminId
+        ...(!req.can('quiz:update:any') && { adminId: req.ownerAdminId })
       }
     });
 
@@ -608,6 +707,44 @@ router.patch('/:quizId', authenticate(['ADMIN']), async (req, res) => {
       });
     }
 
+    const { data: scoringSettings, error: scoringError } = parseScoringSettings(updates);
+    if (scoringError) {
+      return res.status(400).json({ success: false, message: scoringError });
+    }
+
+    const { data: attemptSettings, error: attemptError } = parseAttemptSettings(updates);
+    if (attemptError) {
+      return res.status(400).json({ success: false, message: attemptError });
+    }
+
+    let questionData;
+    if (updates.questions) {
+      if (!Array.isArray(updates.questions)) {
+        return res.status(400).json({ success: false, message: 'Questions must be an array' });
+      }
+
+      const parsed = parseQuestions(updates.questions);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+
+      questionData = parsed.questions;
+    }
+
+    // Attempts in progress keep the IDs of the questions they were served, replacing them would leave nothing to grade
+    if (updates.questions && updates.operation === 'replace') {
+      const attemptsInProgress = await prisma.quizAttempt.count({
+        where: { quizId, startedAt: { not: null }, completed: false }
+      });
+
+      if (attemptsInProgress > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Questions cannot be replaced while attempts are in progress, wait until they are submitted'
+        });
+      }
+    }
+
     const updatedQuiz = await prisma.$transaction(async (prisma) => {
       let quiz = existingQuiz;
 
@@ -621,7 +758,8 @@ router.patch('/:quizId', authenticate(['ADMIN']), async (req, res) => {
       }
 
       if (updates.title || updates.description || updates.price !== undefined || 
-          updates.startDate !== undefined || updates.endDate !== undefined) {
+          updates.startDate !== undefined || updates.endDate !== undefined ||
+          Object.keys(scoringSettings).length > 0 || Object.keys(attemptSettings).length > 0) {
         quiz = await prisma.quiz.update({
           where: { id: quizId },
           data: {
@@ -629,7 +767,9 @@ router.patch('/:quizId', authenticate(['ADMIN']), async (req, res) => {
             ...(updates.description && { description: updates.description }),
             ...(updates.price !== undefined && { price: updates.price }),
             ...(parsedStartDate !== undefined && { startDate: parsedStartDate }),
-            ...(parsedEndDate !== undefined && { endDate: parsedEndDate })
+            ...(parsedEndDate !== undefined && { endDate: parsedEndDate }),
+            ...scoringSettings,
+            ...attemptSettings
           }
         });
       }
@@ -645,15 +785,7 @@ router.patch('/:quizId', authenticate(['ADMIN']), async (req, res) => {
             where: { id: quizId },
             data: {
               questions: {
-                create: updates.questions.map(question => ({
-                  text: question.text,
-                  correctAnswer: question.correctAnswer,
-                  options: {
-                    create: question.options.map(option => ({
-                      text: option.text
-                    }))
-                  }
-                }))
+                create: questionData
               }
             }
           });
@@ -664,15 +796,7 @@ router.patch('/:quizId', authenticate(['ADMIN']), async (req, res) => {
             where: { id: quizId },
             data: {
               questions: {
-                create: updates.questions.map(question => ({
-                  text: question.text,
-                  correctAnswer: question.correctAnswer,
-                  options: {
-                    create: question.options.map(option => ({
-                      text: option.text
-                    }))
-                  }
-                }))
+                create: questionData
               }
             }
           });
@@ -691,6 +815,10 @@ router.patch('/:quizId', authenticate(['ADMIN']), async (req, res) => {
       });
     });
 
+    if (attemptSettings.scoringPolicy && attemptSettings.scoringPolicy !== existingQuiz.scoringPolicy) {
+      await recalculateLeaderboard(quizId);
+    }
+
     res.status(200).json({
       success: true,
       data: updatedQuiz
@@ -706,12 +834,12 @@ router.patch('/:quizId', authenticate(['ADMIN']), async (req, res) => {
 });
 
 /**
- * @desc Delete quiz
+ * @desc Delete quiz, cancel open checkouts and refund every paid entry fee
  * @route DELETE /api/v1/quiz/:quizId
- * @access Private (Admin only)
+ * @access Private (Admins and sub-admins with quiz:delete:own)
  * @tested False
  */
-router.delete('/:quizId', authenticate(['ADMIN']), async (req, res) => {
+router.delete('/:quizId', requirePermission('quiz:delete:own'), async (req, res) => {
   const { quizId } = req.params;
   const adminId = req.user.id;
 
@@ -720,7 +848,7 @@ router.delete('/:quizId', authenticate(['ADMIN']), async (req, res) => {
     const quiz = await prisma.quiz.findFirst({
       where: {
         id: quizId,
-        adminId
+        ...(!req.can('quiz:delete:any') && { adminId: req.ownerAdminId })
       }
     });
 
@@ -731,6 +859,76 @@ router.delete('/:quizId', authenticate(['ADMIN']), async (req, res) => {
       });
     }
 
+    // Prizes that were awarded but not paid out yet still need the quiz to be approved and paid
+    const unpaidPayouts = await prisma.payout.count({
+      where: {
+        quizId,
+        status: { in: ['PENDING', 'APPROVED'] }
+      }
+    });
+
+    if (unpaidPayouts > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quiz has prizes that have not been paid out yet and cannot be deleted'
+      });
+    }
+
+    // Close open checkouts first so none of them can still be paid for a quiz that no longer exists
+    const pendingPayments = await prisma.payment.findMany({
+      where: {
+        quizId,
+        status: 'PENDING'
+      }
+    });
+
+    const failedCancellations = [];
+    for (const payment of pendingPayments) {
+      try {
+        // Only fails when the payment stopped being pending, one completed in the meantime is refunded below
+        await cancelPayment({ paymentId: payment.id });
+      } catch (error) {
+        failedCancellations.push({ paymentId: payment.id, message: error.message });
+      }
+    }
+
+    // Give everyone their money back, payment records outlive the quiz
+    const paidPayments = await prisma.payment.findMany({
+      where: {
+        quizId,
+        status: { in: PAID_STATUSES }
+      }
+    });
+
+    const failedRefunds = [];
+    for (const payment of paidPayments) {
+      try {
+        const result = await refundPayment({
+          paymentId: payment.id,
+          reason: 'Quiz cancelled',
+          issuedBy: adminId
+        });
+
+        if (!result.success) {
+          failedRefunds.push({ paymentId: payment.id, message: result.message });
+        }
+      } catch (error) {
+        failedRefunds.push({ paymentId: payment.id, message: error.message });
+      }
+    }
+
+    if (failedCancellations.length > 0 || failedRefunds.length > 0) {
+      return res.status(502).json({
+        success: false,
+        message: 'Some payments could not be refunded or cancelled, the quiz was not deleted',
+        data: {
+          refunded: paidPayments.length - failedRefunds.length,
+          failedRefunds,
+          failedCancellations
+        }
+      });
+    }
+
     await prisma.quiz.delete({
       where: {
         id: quizId
@@ -739,7 +937,11 @@ router.delete('/:quizId', authenticate(['ADMIN']), async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Quiz deleted successfully'
+      message: 'Quiz deleted successfully',
+      data: {
+        refundedPayments: paidPayments.length,
+        cancelledPayments: pendingPayments.length
+      }
     });
   }
   catch (error) {
@@ -757,7 +959,7 @@ router.delete('/:quizId', authenticate(['ADMIN']), async (req, res) => {
  * @route POST /api/v1/quiz/:quizId/join
  * @access Public
  */
-router.post('/:quizId/join', authMiddleware, async (req, res) => {
+router.post('/:quizId/join', authMiddleware, requireVerifiedEmail, async (req, res) => {
   const { quizId } = req.params;
   const userId = req.user.id;
 
@@ -791,20 +993,36 @@ router.post('/:quizId/join', authMiddleware, async (req, res) => {
       });
     }
 
-    const existingAttempt = await prisma.quizAttempt.findUnique({
-      where: {
-        userId_quizId: {
-          userId,
-          quizId
-        }
-      }
-    });
+    const existingAttempt = await findCurrentAttempt(userId, quizId);
 
     if (existingAttempt) {
       return res.status(400).json({
         success: false,
-        message: 'You have already joined this quiz'
+        message: 'You have already joined this quiz, start further attempts from /attempts'
+      });
+    }
+
+    // Paid quizzes can only be joined once the payment has gone through
+    if (quiz.price && quiz.price > 0) {
+      const completedPayment = await prisma.payment.findFirst({
+        where: {
+          userId,
+          quizId,
+          status: { in: PAID_STATUSES }
+        }
       });
+
+      if (!completedPayment) {
+        return res.status(402).json({
+          success: false,
+          paymentRequired: true,
+          message: 'This is a paid quiz. Please complete the payment before joining.',
+          data: {
+            quizId: quiz.id,
+            price: quiz.price
+          }
+        });
+      }
     }
 
     // If we reach here, the quiz is ongoing and can be joined
@@ -831,6 +1049,14 @@ router.post('/:quizId/join', authMiddleware, async (req, res) => {
       data: quizAttempt
     });
   } catch (error) {
+    // Two joins sent at once both get past the check above, the unique attempt number keeps the second one out
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already joined this quiz'
+      });
+    }
+
     console.error('Error joining quiz:', error);
     res.status(500).json({
       success: false,
@@ -843,15 +1069,16 @@ router.post('/:quizId/join', authMiddleware, async (req, res) => {
 /**
  * @desc Get all users in a particular quiz
  * @route GET /api/v1/quiz/:quizId/users
- * @access Private (Admin only)
+ * @access Private (Admins and sub-admins with quiz:participants:view)
  */
-router.get('/:quizId/users', authenticate(['ADMIN']), async (req, res) => {
+router.get('/:quizId/users', requirePermission('quiz:participants:view'), async (req, res) => {
   const { quizId } = req.params;
 
   try {
     const users = await prisma.quizAttempt.findMany({
       where: {
-        quizId
+        quizId,
+        attemptNumber: 1
       },
       include: {
         user: {
@@ -892,36 +1119,50 @@ router.get('/user/joined', authenticate(['USER']), async (req, res) => {
   const userId = req.user.id;
 
   try {
-    const joinedQuizzes = await prisma.quizAttempt.findMany({
+    const joinedQuizzes = await prisma.quiz.findMany({
       where: {
-        userId
+        attempts: {
+          some: {
+            userId
+          }
+        }
       },
       include: {
-        quiz: {
-          include: {
-            _count: {
-              select: {
-                questions: true
-              }
-            }
+        attempts: {
+          where: {
+            userId
+          },
+          orderBy: {
+            attemptNumber: 'asc'
+          }
+        },
+        _count: {
+          select: {
+            questions: true
           }
         }
-      },
-      orderBy: {
-        createdAt: 'desc'
       }
     });
 
-    const formattedQuizzes = joinedQuizzes.map(attempt => ({
-      attemptId: attempt.id,
-      quizId: attempt.quiz.id,
-      title: attempt.quiz.title,
-      description: attempt.quiz.description,
-      score: attempt.score,
-      completed: attempt.completed,
-      totalQuestions: attempt.quiz._count.questions,
-      joinedAt: attempt.createdAt
-    }));
+    // One row per quiz, scored by the quiz's scoring policy and null until an attempt is completed
+    const formattedQuizzes = joinedQuizzes.map(quiz => {
+      const summary = applyScoringPolicy(quiz, quiz.attempts);
+      const latestAttempt = quiz.attempts[quiz.attempts.length - 1];
+
+      return {
+        attemptId: latestAttempt.id,
+        quizId: quiz.id,
+        title: quiz.title,
+        description: quiz.description,
+        scoringPolicy: quiz.scoringPolicy,
+        score: summary?.score ?? null,
+        completed: summary !== null,
+        attempts: quiz.attempts.length,
+        totalQuestions: quiz._count.questions,
+        joinedAt: quiz.attempts[0].createdAt,
+        lastAttemptAt: latestAttempt.createdAt
+      };
+    }).sort((a, b) => b.lastAttemptAt - a.lastAttemptAt);
 
     res.status(200).json({
       success: true,
@@ -949,6 +1190,23 @@ router.get('/:quizId/leaderboard', authMiddleware, async (req, res) => {
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
   try {
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId },
+      select: {
+        scoringPolicy: true,
+        questions: {
+          select: { id: true, points: true }
+        }
+      }
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
     const leaderboardEntries = await prisma.leaderBoardEntry.findMany({
       where: {
         leaderboard: {
@@ -978,9 +1236,19 @@ router.get('/:quizId/leaderboard', authMiddleware, async (req, res) => {
       }
     });
 
+    // Question pools serve each user a different set, so the maximum comes from the attempts behind each score
+    const attempts = await prisma.quizAttempt.findMany({
+      where: {
+        quizId,
+        completed: true,
+        userId: { in: leaderboardEntries.map(entry => entry.userId) }
+      }
+    });
+
     const formattedEntries = leaderboardEntries.map((entry, index) => ({
       rank: skip + index + 1,
       score: entry.score,
+      maxScore: applyScoringPolicy(quiz, attempts.filter(attempt => attempt.userId === entry.userId))?.maxScore ?? null,
       userName: entry.user.name,
       userEmail: entry.user.email,
       createdAt: entry.createdAt
@@ -1010,6 +1278,257 @@ router.get('/:quizId/leaderboard', authMiddleware, async (req, res) => {
 
 
 
+/**
+ * @desc Get the prize structure of a quiz and, once settled, its winners
+ * @route GET /api/v1/quiz/:quizId/prizes
+ * @access Public
+ */
+router.get('/:quizId/prizes', authMiddleware, async (req, res) => {
+  const { quizId } = req.params;
+
+  try {
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId },
+      include: {
+        prizeTiers: {
+          orderBy: { rank: 'asc' }
+        },
+        payouts: {
+          include: {
+            user: {
+              select: { name: true }
+            }
+          },
+          orderBy: { rank: 'asc' }
+        }
+      }
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const prizePool = await calculatePrizePool(quizId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        quizId: quiz.id,
+        prizePool,
+        settled: Boolean(quiz.prizesSettledAt),
+        settledAt: quiz.prizesSettledAt,
+        tiers: quiz.prizeTiers.map(tier => ({
+          rank: tier.rank,
+          type: tier.type,
+          value: tier.value,
+          amount: tier.type === 'PERCENTAGE' ? Math.floor(prizePool * tier.value) / 100 : tier.value
+        })),
+        winners: quiz.payouts.map(payout => ({
+          rank: payout.rank,
+          name: payout.user.name,
+          score: payout.score,
+          amount: payout.amount
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting quiz prizes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting quiz prizes',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @desc Set the prize structure of a quiz, replacing any existing one
+ * @route PUT /api/v1/quiz/:quizId/prizes
+ * @access Private (Admins and sub-admins with quiz:update:own)
+ */
+router.put('/:quizId/prizes', requirePermission('quiz:update:own'), async (req, res) => {
+  const { quizId } = req.params;
+  const { tiers } = req.body; // [{ rank: 1, type: 'FIXED' | 'PERCENTAGE', value: 100 }]
+
+  try {
+    const quiz = await prisma.quiz.findFirst({
+      where: {
+        id: quizId,
+        ...(!req.can('quiz:update:any') && { adminId: req.ownerAdminId })
+      }
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or you do not have permission to update it'
+      });
+    }
+
+    if (quiz.prizesSettledAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prizes for this quiz have already been settled'
+      });
+    }
+
+    if (!Array.isArray(tiers)) {
+      return res.status(400).json({ success: false, message: 'Tiers must be an array' });
+    }
+
+    const ranks = new Set();
+    for (const tier of tiers) {
+      if (!Number.isInteger(tier.rank) || tier.rank < 1 || ranks.has(tier.rank)) {
+        return res.status(400).json({ success: false, message: 'Every tier needs a unique rank of 1 or more' });
+      }
+      if (!['FIXED', 'PERCENTAGE'].includes(tier.type)) {
+        return res.status(400).json({ success: false, message: 'Tier type must be FIXED or PERCENTAGE' });
+      }
+      if (typeof tier.value !== 'number' || !(tier.value > 0)) {
+        return res.status(400).json({ success: false, message: 'Tier value must be a positive number' });
+      }
+      ranks.add(tier.rank);
+    }
+
+    const totalPercentage = tiers
+      .filter(tier => tier.type === 'PERCENTAGE')
+      .reduce((sum, tier) => sum + tier.value, 0);
+
+    if (totalPercentage > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage prizes cannot add up to more than 100% of the collected fees'
+      });
+    }
+
+    const prizeTiers = await prisma.$transaction(async (prisma) => {
+      await prisma.prizeTier.deleteMany({ where: { quizId } });
+      await prisma.prizeTier.createMany({
+        data: tiers.map(({ rank, type, value }) => ({ quizId, rank, type, value }))
+      });
+
+      return prisma.prizeTier.findMany({
+        where: { quizId },
+        orderBy: { rank: 'asc' }
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: prizeTiers
+    });
+  } catch (error) {
+    console.error('Error updating quiz prizes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating quiz prizes',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @desc Settle the prizes of an ended quiz now instead of waiting for the scheduler
+ * @route POST /api/v1/quiz/:quizId/prizes/settle
+ * @access Private (Admins and sub-admins with prize:settle:own)
+ */
+router.post('/:quizId/prizes/settle', requirePermission('prize:settle:own'), async (req, res) => {
+  const { quizId } = req.params;
+
+  try {
+    const quiz = await prisma.quiz.findFirst({
+      where: {
+        id: quizId,
+        ...(!req.can('prize:settle:any') && { adminId: req.ownerAdminId })
+      }
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or you do not have permission to settle it'
+      });
+    }
+
+    const result = await settleQuizPrizes(quizId);
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        prizePool: result.pool,
+        payouts: result.payouts
+      }
+    });
+  } catch (error) {
+    console.error('Error settling quiz prizes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error settling quiz prizes',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @desc Get all prizes won by the logged-in user
+ * @route GET /api/v1/quiz/user/payouts
+ * @access Private (User only)
+ */
+router.get('/user/payouts', authenticate(['USER']), async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const payouts = await prisma.payout.findMany({
+      where: {
+        userId
+      },
+      include: {
+        quiz: {
+          select: {
+            id: true,
+            title: true
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    const formattedPayouts = payouts.map(payout => ({
+      payoutId: payout.id,
+      quizId: payout.quizId,
+      quizTitle: payout.quiz?.title ?? null,
+      rank: payout.rank,
+      score: payout.score,
+      amount: payout.amount,
+      currency: payout.currency,
+      status: payout.status,
+      paidAt: payout.paidAt
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: formattedPayouts.length,
+      data: formattedPayouts
+    });
+  } catch (error) {
+    console.error('Error getting user payouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting user payouts',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @desc Get questions for a quiz
  * @route GET /api/v1/quiz/:quizId/take
@@ -1044,15 +1563,8 @@ router.get('/:quizId/take', authenticate(['USER']), async (req, res) => {
       });
     }
 
-    // Check if the user has already joined the quiz
-    const quizAttempt = await prisma.quizAttempt.findUnique({
-      where: {
-        userId_quizId: {
-          userId,
-          quizId
-        }
-      }
-    });
+    // Check if the user has already joined the quiz, later attempts are started from /attempts
+    const quizAttempt = await findCurrentAttempt(userId, quizId);
 
     if (!quizAttempt) {
       return res.status(400).json({
@@ -1068,14 +1580,43 @@ router.get('/:quizId/take', authenticate(['USER']), async (req, res) => {
       });
     }
 
-    // Format the questions to remove correct answers
-    const formattedQuestions = quiz.questions.map(question => ({
-      id: question.id,
-      text: question.text,
-      options: question.options.map(option => ({
-        id: option.id,
-        text: option.text
-      }))
+    const now = new Date();
+
+    if (quiz.startDate && quiz.startDate > now) {
+      return res.status(403).json({
+        success: false,
+        message: 'This quiz has not started yet'
+      });
+    }
+
+    if (!quizAttempt.startedAt && quiz.endDate && quiz.endDate < now) {
+      return res.status(403).json({
+        success: false,
+        message: 'This quiz has ended'
+      });
+    }
+
+    // The clock starts the first time the questions are served
+    const startedAttempt = await startAttempt(quiz, quizAttempt);
+    const deadline = getAttemptDeadline(quiz, startedAttempt);
+
+    if (isPastDeadline(deadline, now)) {
+      return res.status(403).json({
+        success: false,
+        message: 'The time for this attempt is up, submit it to have it graded'
+      });
+    }
+
+    const savedAnswers = await prisma.attemptAnswer.findMany({
+      where: { attemptId: startedAttempt.id }
+    });
+    const savedByQuestion = new Map(savedAnswers.map(saved => [saved.questionId, saved]));
+
+    // Serve the attempt's own questions in its own order, with the correct answers removed and any saved draft
+    const formattedQuestions = getServedQuestions(quiz, startedAttempt).map(question => ({
+      ...toPublicQuestion(question),
+      savedAnswer: savedByQuestion.get(question.id)?.answer ?? null,
+      savedAt: savedByQuestion.get(question.id)?.updatedAt ?? null
     }));
 
     res.status(200).json({
@@ -1084,6 +1625,12 @@ router.get('/:quizId/take', authenticate(['USER']), async (req, res) => {
         quizId: quiz.id,
         title: quiz.title,
         description: quiz.description,
+        attemptNumber: startedAttempt.attemptNumber,
+        maxAttempts: quiz.maxAttempts,
+        durationMinutes: quiz.durationMinutes,
+        startedAt: startedAttempt.startedAt,
+        deadline,
+        serverTime: now,
         totalQuestions: formattedQuestions.length,
         questions: formattedQuestions
       }
@@ -1098,6 +1645,82 @@ router.get('/:quizId/take', authenticate(['USER']), async (req, res) => {
   }
 });
 
+/**
+ * @desc Save a draft answer to one question of an attempt in progress, saving again replaces it
+ * @route PUT /api/v1/quiz/:quizId/answers/:questionId
+ * @access Private (User only)
+ */
+router.put('/:quizId/answers/:questionId', authenticate(['USER']), async (req, res) => {
+  const { quizId, questionId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId },
+      include: {
+        questions: { include: { options: true } }
+      }
+    });
+
+    if (!quiz) {
+      return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+
+    const quizAttempt = await findCurrentAttempt(userId, quizId);
+
+    if (!quizAttempt?.startedAt) {
+      return res.status(400).json({ success: false, message: 'Open the quiz before saving answers' });
+    }
+
+    if (quizAttempt.completed) {
+      return res.status(400).json({ success: false, message: 'Quiz already completed' });
+    }
+
+    if (isPastDeadline(getAttemptDeadline(quiz, quizAttempt))) {
+      return res.status(403).json({ success: false, message: 'The time for this attempt is up' });
+    }
+
+    const question = getServedQuestions(quiz, quizAttempt).find(served => served.id === questionId);
+
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'This question is not part of your attempt' });
+    }
+
+    const { answer, error } = parseAnswer(question, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const saved = await prisma.attemptAnswer.upsert({
+      where: {
+        attemptId_questionId: {
+          attemptId: quizAttempt.id,
+          questionId
+        }
+      },
+      update: { answer },
+      create: {
+        attemptId: quizAttempt.id,
+        questionId,
+        answer
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        questionId,
+        answer: saved.answer,
+        firstSavedAt: saved.createdAt,
+        savedAt: saved.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error saving answer:', error);
+    res.status(500).json({ success: false, message: 'Error saving answer', error: error.message });
+  }
+});
+
 /**
  * @desc Submit answers for a quiz
  * @route POST /api/v1/quiz/:quizId/submit
@@ -1105,11 +1728,12 @@ router.get('/:quizId/take', authenticate(['USER']), async (req, res) => {
  */
 router.post('/:quizId/submit', authenticate(['USER']), async (req, res) => {
   const { quizId } = req.params;
-  const { answers } = req.body; // [{ questionId: 'id', answer: 'text' }]
+  // [{ questionId, optionId }, { questionId, optionIds: [] } or { questionId, value }], saved answers fill the gaps
+  const { answers = [] } = req.body;
   const userId = req.user.id;
 
   try {
-    if (!answers || !Array.isArray(answers)) {
+    if (!Array.isArray(answers)) {
       return res.status(400).json({ success: false, message: 'Answers must be an array' });
     }
 
@@ -1125,9 +1749,7 @@ router.post('/:quizId/submit', authenticate(['USER']), async (req, res) => {
       return res.status(404).json({ success: false, message: 'Quiz not found' });
     }
 
-    const quizAttempt = await prisma.quizAttempt.findUnique({
-      where: { userId_quizId: { userId, quizId } }
-    });
+    const quizAttempt = await findCurrentAttempt(userId, quizId);
 
     if (!quizAttempt) {
       return res.status(400).json({ success: false, message: 'Join the quiz before submitting' });
@@ -1137,54 +1759,192 @@ router.post('/:quizId/submit', authenticate(['USER']), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Quiz already completed' });
     }
 
-    const questionsMap = new Map(quiz.questions.map(q => [q.id, q]));
-    let score = 0;
+    if (!quizAttempt.startedAt) {
+      return res.status(400).json({ success: false, message: 'Open the quiz before submitting' });
+    }
+
+    // Answers that arrive after the deadline are not counted, the attempt is graded as it stood at the deadline
+    const deadline = getAttemptDeadline(quiz, quizAttempt);
+    const late = isPastDeadline(deadline);
+    const submittedAnswers = late ? [] : answers;
 
-    const results = answers.map(({ questionId, answerId }) => {
-      const question = questionsMap.get(questionId);
-      if (!question) return { questionId, correct: false, message: 'Invalid question' };
+    const servedQuestions = getServedQuestions(quiz, quizAttempt);
+    const questionsMap = new Map(servedQuestions.map(q => [q.id, q]));
 
-      const correct = question.correctAnswer === answerId;
-      
-      if (correct) score += 1;
+    if (submittedAnswers.some(answer => !questionsMap.has(answer?.questionId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answers can only be given to the questions served in this attempt'
+      });
+    }
+
+    // Start from the saved drafts, answers sent with the submission replace them
+    const savedAnswers = await prisma.attemptAnswer.findMany({
+      where: { attemptId: quizAttempt.id }
+    });
+    const answersByQuestion = new Map(savedAnswers.map(saved => [saved.questionId, saved.answer]));
+    const submittedQuestions = new Set();
+
+    for (const input of submittedAnswers) {
+      if (submittedQuestions.has(input.questionId)) {
+        return res.status(400).json({ success: false, message: 'Each question can only be answered once' });
+      }
+      submittedQuestions.add(input.questionId);
+
+      const { answer, error } = parseAnswer(questionsMap.get(input.questionId), input);
+      if (error) {
+        return res.status(400).json({ success: false, message: `Question ${input.questionId}: ${error}` });
+      }
+      answersByQuestion.set(input.questionId, answer);
+    }
+
+    const grade = gradeAttempt(quiz, quizAttempt, answersByQuestion);
+    const { score, maxScore: maximumScore, results } = grade;
+    const totalQuestions = servedQuestions.length;
+    const percentageScore = maximumScore > 0 ? Math.round((score / maximumScore) * 100) : 0;
+
+    const { closed, leaderboardEntry } = await closeAttempt(quiz, quizAttempt, grade);
+
+    if (!closed) {
+      return res.status(400).json({ success: false, message: 'Quiz already completed' });
+    }
 
-      return { questionId, correct, correctAnswer: question.correctAnswer };
+    res.status(200).json({
+      success: true,
+      ...(late && { message: 'The time was up, the attempt was graded from the answers saved before the deadline' }),
+      data: {
+        attemptNumber: quizAttempt.attemptNumber,
+        score,
+        maxScore: maximumScore,
+        totalQuestions,
+        percentageScore,
+        results,
+        completed: true,
+        late,
+        deadline,
+        scoringPolicy: quiz.scoringPolicy,
+        leaderboardScore: leaderboardEntry?.score ?? score
+      }
     });
+  } catch (error) {
+    console.error('Error submitting quiz:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+
+/**
+ * @desc Start another attempt at a quiz the user has already joined
+ * @route POST /api/v1/quiz/:quizId/attempts
+ * @access Private (User only)
+ */
+router.post('/:quizId/attempts', authenticate(['USER']), requireVerifiedEmail, async (req, res) => {
+  const { quizId } = req.params;
+  const userId = req.user.id;
 
-    const totalQuestions = quiz.questions.length;
-    const percentageScore = Math.round((score / totalQuestions) * 100);
+  try {
+    const currentDate = new Date();
 
-    const updatedAttempt = await prisma.quizAttempt.update({
-      where: { userId_quizId: { userId, quizId } },
-      data: { score, completed: true }
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId }
     });
 
-    await prisma.leaderBoardEntry.upsert({
-      where: {
-        leaderboardId_userId: {
-          leaderboardId: quiz.leaderboard.id,
-          userId
+    if (!quiz) {
+      return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+
+    if ((quiz.startDate && quiz.startDate > currentDate) || (quiz.endDate && quiz.endDate < currentDate)) {
+      return res.status(403).json({ success: false, message: 'This quiz is not open for attempts right now' });
+    }
+
+    // A refunded entry fee takes away further attempts at a paid quiz
+    if (quiz.price && quiz.price > 0) {
+      const completedPayment = await prisma.payment.findFirst({
+        where: {
+          userId,
+          quizId,
+          status: { in: PAID_STATUSES }
         }
-      },
-      update: { score },
-      create: {
-        leaderboardId: quiz.leaderboard.id,
-        userId,
-        score
+      });
+
+      if (!completedPayment) {
+        return res.status(402).json({
+          success: false,
+          paymentRequired: true,
+          message: 'This is a paid quiz. Please complete the payment before starting an attempt.'
+        });
       }
+    }
+
+    const result = await startNextAttempt(quiz, userId);
+
+    if (!result.success) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Attempt ${result.attempt.attemptNumber} of ${quiz.maxAttempts} started`,
+      data: result.attempt
+    });
+  } catch (error) {
+    console.error('Error starting attempt:', error);
+    res.status(500).json({ success: false, message: 'Error starting attempt', error: error.message });
+  }
+});
+
+/**
+ * @desc Get the user's attempt history for a quiz
+ * @route GET /api/v1/quiz/:quizId/attempts
+ * @access Private (User only)
+ */
+router.get('/:quizId/attempts', authenticate(['USER']), async (req, res) => {
+  const { quizId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId }
     });
 
+    if (!quiz) {
+      return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+
+    const attempts = await listAttempts(userId, quizId);
+    const summary = applyScoringPolicy(quiz, attempts);
+
     res.status(200).json({
       success: true,
-      data: { score, totalQuestions, percentageScore, results, completed: true }
+      data: {
+        quizId: quiz.id,
+        scoringPolicy: quiz.scoringPolicy,
+        maxAttempts: quiz.maxAttempts,
+        attemptCooldownMinutes: quiz.attemptCooldownMinutes,
+        attemptsRemaining: Math.max(0, quiz.maxAttempts - attempts.length),
+        nextAttemptAvailableAt: attempts.length > 0 ? nextAttemptAvailableAt(quiz, attempts) : null,
+        policyScore: summary?.score ?? null,
+        attempts: attempts.map(attempt => ({
+          attemptNumber: attempt.attemptNumber,
+          startedAt: attempt.startedAt,
+          completedAt: attempt.completed ? attempt.completedAt ?? attempt.updatedAt : null,
+          completed: attempt.completed,
+          score: attempt.completed ? attempt.score : null,
+          maxScore: attempt.maxScore,
+          percentageScore: attempt.completed && attempt.maxScore
+            ? Math.round((attempt.score / attempt.maxScore) * 100)
+            : null,
+          countsForLeaderboard: quiz.scoringPolicy === 'AVERAGE' ? attempt.completed : summary?.attempt.id === attempt.id
+        }))
+      }
     });
   } catch (error) {
-    console.error('Error submitting quiz:', error);
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    console.error('Error getting attempt history:', error);
+    res.status(500).json({ success: false, message: 'Error getting attempt history', error: error.message });
   }
 });
 
-
 /**
  * @desc Get user's quiz result
  * @route GET /api/v1/quiz/:quizId/result
@@ -1195,31 +1955,21 @@ router.get('/:quizId/result', authenticate(['USER']), async (req, res) => {
   const userId = req.user.id;
 
   try {
-    // Check if the user has completed the quiz
-    const quizAttempt = await prisma.quizAttempt.findUnique({
-      where: {
-        userId_quizId: {
-          userId,
-          quizId
-        }
-      },
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId },
       include: {
-        quiz: {
+        questions: true,
+        leaderboard: {
           include: {
-            questions: true,
-            leaderboard: {
+            entries: {
+              orderBy: {
+                score: 'desc'
+              },
+              take: 10,
               include: {
-                entries: {
-                  orderBy: {
-                    score: 'desc'
-                  },
-                  take: 10,
-                  include: {
-                    user: {
-                      select: {
-                        name: true
-                      }
-                    }
+                user: {
+                  select: {
+                    name: true
                   }
                 }
               }
@@ -1229,14 +1979,26 @@ router.get('/:quizId/result', authenticate(['USER']), async (req, res) => {
       }
     });
 
-    if (!quizAttempt) {
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const attempts = await listAttempts(userId, quizId);
+
+    if (attempts.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'Quiz attempt not found'
       });
     }
 
-    if (!quizAttempt.completed) {
+    // The result follows the quiz's scoring policy: the best, the latest or the average of the completed attempts
+    const summary = applyScoringPolicy(quiz, attempts);
+
+    if (!summary) {
       return res.status(400).json({
         success: false,
         message: 'You have not completed this quiz yet'
@@ -1246,7 +2008,7 @@ router.get('/:quizId/result', authenticate(['USER']), async (req, res) => {
     // Get user's rank on the leaderboard
     const leaderboardEntries = await prisma.leaderBoardEntry.findMany({
       where: {
-        leaderboardId: quizAttempt.quiz.leaderboard.id
+        leaderboardId: quiz.leaderboard.id
       },
       orderBy: {
         score: 'desc'
@@ -1256,22 +2018,29 @@ router.get('/:quizId/result', authenticate(['USER']), async (req, res) => {
     const userRank = leaderboardEntries.findIndex(entry => entry.userId === userId) + 1;
     const totalParticipants = leaderboardEntries.length;
 
-    // Calculate percentage score
-    const percentageScore = Math.round((quizAttempt.score / quizAttempt.quiz.questions.length) * 100);
+    // Weighted percentage, against the maximum of the questions that were served in case questions changed since
+    const { attempt } = summary;
+    const maximumScore = summary.maxScore;
+    const percentageScore = maximumScore > 0 ? Math.round((summary.score / maximumScore) * 100) : 0;
 
     res.status(200).json({
       success: true,
       data: {
-        quizId: quizAttempt.quizId,
-        quizTitle: quizAttempt.quiz.title,
-        score: quizAttempt.score,
-        totalQuestions: quizAttempt.quiz.questions.length,
+        quizId: quiz.id,
+        quizTitle: quiz.title,
+        scoringPolicy: quiz.scoringPolicy,
+        score: summary.score,
+        maxScore: maximumScore,
+        totalQuestions: attempt.questionOrder.length || quiz.questions.length,
         percentageScore,
-        completed: quizAttempt.completed,
-        completedAt: quizAttempt.updatedAt,
+        completed: true,
+        completedAt: attempt.completedAt ?? attempt.updatedAt,
+        attemptNumber: attempt.attemptNumber,
+        attemptsCompleted: attempts.filter(item => item.completed).length,
+        maxAttempts: quiz.maxAttempts,
         rank: userRank,
         totalParticipants,
-        topScores: quizAttempt.quiz.leaderboard.entries.map((entry, index) => ({
+        topScores: quiz.leaderboard.entries.map((entry, index) => ({
           rank: index + 1,
           name: entry.user.name,
           score: entry.score
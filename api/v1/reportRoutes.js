@@ -0,0 +1,346 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import requirePermission from './middleware/requirePermission.js';
+import { sendCsv } from './utils/csv.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Payments where money actually reached us, refunded ones included so refunds can be netted out
+const COLLECTED_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+const UNSUCCESSFUL_STATUSES = ['FAILED', 'CANCELLED'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Admins see their own quizzes and sub-admins the quizzes of the admin they belong to, unless they may see all.
+// Payments keep the admin of their quiz, so the money stays in the owner's reports after the quiz is deleted
+const getPaymentScope = (req) => {
+  return req.can('report:view:any') ? null : { adminId: req.ownerAdminId };
+};
+
+// Money counts from the moment a payment completed. Payments that never completed count from when they failed or
+// were cancelled, and payments from before completedAt was recorded from their last update
+const settledAt = (payment) => payment.completedAt ?? payment.updatedAt;
+
+const settledWithin = (range) => ({
+  OR: [
+    { completedAt: range },
+    { completedAt: null, updatedAt: range }
+  ]
+});
+
+const parseDateRange = ({ from, to }) => {
+  const range = {};
+
+  if (from) {
+    range.gte = new Date(from);
+    if (isNaN(range.gte.getTime())) return { error: 'Invalid from date' };
+  }
+
+  if (to) {
+    range.lte = new Date(to);
+    if (isNaN(range.lte.getTime())) return { error: 'Invalid to date' };
+  }
+
+  if (range.gte && range.lte && range.gte > range.lte) {
+    return { error: 'The from date must be before the to date' };
+  }
+
+  return { range: Object.keys(range).length > 0 ? range : undefined };
+};
+
+// Shared request handling: resolves the scope and date range, then hands both to the report
+const report = (name, columns, build) => {
+  return async (req, res) => {
+    const { format = 'json' } = req.query;
+
+    try {
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'Format must be json or csv' });
+      }
+
+      const { range, error } = parseDateRange(req.query);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const paymentScope = getPaymentScope(req);
+      const result = await build({ req, range, paymentScope });
+
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+
+      if (format === 'csv') {
+        return sendCsv(res, `${name}-report.csv`, columns, result.rows);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          from: range?.gte ?? null,
+          to: range?.lte ?? null,
+          ...result.summary,
+          rows: result.rows
+        }
+      });
+    } catch (error) {
+      console.error(`Error building ${name} report:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Error building ${name} report`,
+        error: error.message
+      });
+    }
+  };
+};
+
+const findPayments = ({ range, paymentScope, statuses }) => {
+  return prisma.payment.findMany({
+    where: {
+      ...(statuses && { status: { in: statuses } }),
+      ...(range && settledWithin(range)),
+      ...paymentScope
+    },
+    include: {
+      quiz: {
+        select: {
+          id: true,
+          title: true
+        }
+      }
+    }
+  });
+};
+
+// Refunds count from when they were issued, whenever the payment itself was made
+const findRefunds = ({ range, paymentScope }) => {
+  return prisma.refund.findMany({
+    where: {
+      ...(range && { createdAt: range }),
+      ...(paymentScope && { payment: paymentScope })
+    },
+    include: {
+      payment: {
+        select: {
+          id: true,
+          status: true,
+          quizId: true,
+          quiz: { select: { title: true } }
+        }
+      }
+    }
+  });
+};
+
+const summarizeRevenue = (payments, refunds) => {
+  const gross = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+  return {
+    payments: payments.length,
+    grossRevenue: roundAmount(gross),
+    refunded: roundAmount(refunded),
+    netRevenue: roundAmount(gross - refunded)
+  };
+};
+
+// Group payments and refunds by a key, keeping the first details seen for each group
+const groupRevenue = (payments, refunds, keyOf) => {
+  const groups = new Map();
+  const groupFor = (key, details) => {
+    if (!groups.has(key)) groups.set(key, { ...details, payments: [], refunds: [] });
+    return groups.get(key);
+  };
+
+  payments.forEach(payment => groupFor(...keyOf.payment(payment)).payments.push(payment));
+  refunds.forEach(refund => groupFor(...keyOf.refund(refund)).refunds.push(refund));
+
+  return [...groups.values()].map(({ payments, refunds, ...details }) => ({
+    ...details,
+    ...summarizeRevenue(payments, refunds)
+  }));
+};
+
+const quizKey = (payment) => [
+  payment.quizId ?? 'deleted',
+  { quizId: payment.quizId, quizTitle: payment.quiz?.title ?? 'Deleted quiz' }
+];
+
+const revenueColumns = [
+  { key: 'payments', label: 'Payments' },
+  { key: 'grossRevenue', label: 'Gross revenue' },
+  { key: 'refunded', label: 'Refunded' },
+  { key: 'netRevenue', label: 'Net revenue' }
+];
+
+/**
+ * @desc Revenue per quiz
+ * @route GET /api/v1/admin/reports/revenue/quizzes?from&to&format=json|csv
+ * @access Private (Admins and sub-admins with report:view:own)
+ */
+router.get('/revenue/quizzes', requirePermission('report:view:own'), report(
+  'revenue-by-quiz',
+  [{ key: 'quizId', label: 'Quiz ID' }, { key: 'quizTitle', label: 'Quiz' }, ...revenueColumns],
+  async ({ range, paymentScope }) => {
+    const payments = await findPayments({ range, paymentScope, statuses: COLLECTED_STATUSES });
+    const refunds = await findRefunds({ range, paymentScope });
+
+    const rows = groupRevenue(payments, refunds, {
+      payment: quizKey,
+      refund: (refund) => quizKey(refund.payment)
+    }).sort((a, b) => b.netRevenue - a.netRevenue);
+
+    return { rows, summary: { totals: summarizeRevenue(payments, refunds) } };
+  }
+));
+
+// Bucket keys are computed in UTC, weeks start on Monday
+const bucketKey = (date, interval) => {
+  const iso = date.toISOString();
+
+  if (interval === 'month') return iso.slice(0, 7);
+  if (interval === 'day') return iso.slice(0, 10);
+
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+};
+
+/**
+ * @desc Revenue per day, week or month
+ * @route GET /api/v1/admin/reports/revenue/timeline?interval=day|week|month&from&to&format=json|csv
+ * @access Private (Admins and sub-admins with report:view:own)
+ */
+router.get('/revenue/timeline', requirePermission('report:view:own'), report(
+  'revenue-timeline',
+  [{ key: 'period', label: 'Period' }, ...revenueColumns],
+  async ({ req, range, paymentScope }) => {
+    const { interval = 'day' } = req.query;
+
+    if (!['day', 'week', 'month'].includes(interval)) {
+      return { error: 'Interval must be day, week or month' };
+    }
+
+    const payments = await findPayments({ range, paymentScope, statuses: COLLECTED_STATUSES });
+    const refunds = await findRefunds({ range, paymentScope });
+
+    const periodKey = (date) => {
+      const period = bucketKey(date, interval);
+      return [period, { period }];
+    };
+
+    const rows = groupRevenue(payments, refunds, {
+      payment: (payment) => periodKey(settledAt(payment)),
+      refund: (refund) => periodKey(refund.createdAt)
+    }).sort((a, b) => a.period.localeCompare(b.period));
+
+    return { rows, summary: { interval, totals: summarizeRevenue(payments, refunds) } };
+  }
+));
+
+/**
+ * @desc Payment success and failure rates per quiz
+ * @route GET /api/v1/admin/reports/payments/success-rate?from&to&format=json|csv
+ * @access Private (Admins and sub-admins with report:view:own)
+ */
+router.get('/payments/success-rate', requirePermission('report:view:own'), report(
+  'payment-success-rate',
+  [
+    { key: 'quizId', label: 'Quiz ID' },
+    { key: 'quizTitle', label: 'Quiz' },
+    { key: 'total', label: 'Payments' },
+    { key: 'successful', label: 'Successful' },
+    { key: 'failed', label: 'Failed' },
+    { key: 'cancelled', label: 'Cancelled' },
+    { key: 'pending', label: 'Pending' },
+    { key: 'successRate', label: 'Success rate (%)' },
+    { key: 'failureRate', label: 'Failure rate (%)' }
+  ],
+  async ({ range, paymentScope }) => {
+    const payments = await findPayments({ range, paymentScope });
+
+    const summarize = (group) => {
+      const successful = group.filter(payment => COLLECTED_STATUSES.includes(payment.status)).length;
+      const failed = group.filter(payment => payment.status === 'FAILED').length;
+      const cancelled = group.filter(payment => payment.status === 'CANCELLED').length;
+      const unsuccessful = group.filter(payment => UNSUCCESSFUL_STATUSES.includes(payment.status)).length;
+      const settled = successful + unsuccessful;
+
+      return {
+        total: group.length,
+        successful,
+        failed,
+        cancelled,
+        pending: group.length - settled,
+        // Pending payments have no outcome yet, so they are left out of the rates
+        successRate: settled ? roundAmount((successful / settled) * 100) : null,
+        failureRate: settled ? roundAmount((unsuccessful / settled) * 100) : null
+      };
+    };
+
+    const byQuiz = new Map();
+    payments.forEach(payment => {
+      const key = payment.quizId ?? 'deleted';
+      if (!byQuiz.has(key)) {
+        byQuiz.set(key, { quizId: payment.quizId, quizTitle: payment.quiz?.title ?? 'Deleted quiz', payments: [] });
+      }
+      byQuiz.get(key).payments.push(payment);
+    });
+
+    const rows = [...byQuiz.values()].map(({ payments, ...quiz }) => ({ ...quiz, ...summarize(payments) }));
+
+    return { rows, summary: { totals: summarize(payments) } };
+  }
+));
+
+/**
+ * @desc Refund totals per quiz, filtered on when the refund was issued
+ * @route GET /api/v1/admin/reports/refunds?from&to&format=json|csv
+ * @access Private (Admins and sub-admins with report:view:own)
+ */
+router.get('/refunds', requirePermission('report:view:own'), report(
+  'refunds',
+  [
+    { key: 'quizId', label: 'Quiz ID' },
+    { key: 'quizTitle', label: 'Quiz' },
+    { key: 'refunds', label: 'Refunds' },
+    { key: 'refundedAmount', label: 'Refunded amount' },
+    { key: 'fullyRefundedPayments', label: 'Fully refunded payments' },
+    { key: 'partiallyRefundedPayments', label: 'Partially refunded payments' }
+  ],
+  async ({ range, paymentScope }) => {
+    const refunds = await findRefunds({ range, paymentScope });
+
+    const summarize = (group) => {
+      const paymentStatuses = new Map(group.map(refund => [refund.payment.id, refund.payment.status]));
+      const statuses = [...paymentStatuses.values()];
+
+      return {
+        refunds: group.length,
+        refundedAmount: roundAmount(group.reduce((sum, refund) => sum + refund.amount, 0)),
+        fullyRefundedPayments: statuses.filter(status => status === 'REFUNDED').length,
+        partiallyRefundedPayments: statuses.filter(status => status === 'PARTIALLY_REFUNDED').length
+      };
+    };
+
+    const byQuiz = new Map();
+    refunds.forEach(refund => {
+      const key = refund.payment.quizId ?? 'deleted';
+      if (!byQuiz.has(key)) {
+        byQuiz.set(key, {
+          quizId: refund.payment.quizId,
+          quizTitle: refund.payment.quiz?.title ?? 'Deleted quiz',
+          refunds: []
+        });
+      }
+      byQuiz.get(key).refunds.push(refund);
+    });
+
+    const rows = [...byQuiz.values()].map(({ refunds, ...quiz }) => ({ ...quiz, ...summarize(refunds) }));
+
+    return { rows, summary: { totals: summarize(refunds) } };
+  }
+));
+
+export default router;
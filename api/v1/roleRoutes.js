@@ -0,0 +1,185 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import requirePermission from './middleware/requirePermission.js';
+import { PERMISSIONS, SYSTEM_ROLES, isSystemRole, isKnownPermission } from './services/permissionService.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const ROLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return 'Permissions must be an array';
+
+  const unknownPermission = permissions.find(permission => !isKnownPermission(permission));
+  if (unknownPermission) return `Unknown permission: ${unknownPermission}`;
+
+  return null;
+};
+
+// Permission Catalogue (role:manage)
+router.get('/permissions', requirePermission('role:manage'), (req, res) => {
+  return res.status(200).json({
+    message: 'Permissions fetched successfully',
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+    success: true
+  });
+});
+
+// Get Roles (role:manage)
+router.get('/', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const storedRoles = await prisma.roleDefinition.findMany({
+      include: {
+        _count: { select: { subAdmins: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+    const storedByName = new Map(storedRoles.map(role => [role.name, role]));
+
+    const systemRoles = Object.entries(SYSTEM_ROLES).map(([name, role]) => {
+      const override = name === 'SUPER_ADMIN' ? null : storedByName.get(name);
+
+      return {
+        name,
+        description: override?.description ?? role.description,
+        permissions: override?.permissions ?? role.permissions,
+        system: true,
+        customized: Boolean(override)
+      };
+    });
+
+    const customRoles = storedRoles
+      .filter(role => !isSystemRole(role.name))
+      .map(({ _count, ...role }) => ({ ...role, system: false, assignedSubAdmins: _count.subAdmins }));
+
+    return res.status(200).json({
+      message: 'Roles fetched successfully',
+      roles: [...systemRoles, ...customRoles],
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Create Custom Role (role:manage)
+router.post('/', requirePermission('role:manage'), async (req, res) => {
+  const { name, description = null, permissions = [] } = req.body;
+
+  try {
+    if (!ROLE_NAME_PATTERN.test(name ?? '')) {
+      return res.status(400).json({
+        message: 'Role names must be 2 to 50 upper case letters, digits or underscores',
+        success: false
+      });
+    }
+
+    if (isSystemRole(name)) {
+      return res.status(409).json({ message: 'This name is reserved for a built-in role', success: false });
+    }
+
+    const error = validatePermissions(permissions);
+    if (error) {
+      return res.status(400).json({ message: error, success: false });
+    }
+
+    const existingRole = await prisma.roleDefinition.findUnique({ where: { name } });
+    if (existingRole) {
+      return res.status(409).json({ message: 'A role with this name already exists', success: false });
+    }
+
+    const role = await prisma.roleDefinition.create({
+      data: { name, description, permissions: [...new Set(permissions)] }
+    });
+
+    return res.status(201).json({ message: 'Role created successfully', role, success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Update Role (role:manage), built-in ADMIN and SUB_ADMIN roles are stored as overrides
+router.put('/:name', requirePermission('role:manage'), async (req, res) => {
+  const { name } = req.params;
+  const { description, permissions } = req.body;
+
+  try {
+    if (name === 'SUPER_ADMIN') {
+      return res.status(400).json({ message: 'Super admins always have every permission', success: false });
+    }
+
+    if (permissions !== undefined) {
+      const error = validatePermissions(permissions);
+      if (error) {
+        return res.status(400).json({ message: error, success: false });
+      }
+    }
+
+    const existingRole = await prisma.roleDefinition.findUnique({ where: { name } });
+
+    if (!existingRole && !isSystemRole(name)) {
+      return res.status(404).json({ message: 'Role not found', success: false });
+    }
+
+    const data = {
+      ...(description !== undefined && { description }),
+      ...(permissions !== undefined && { permissions: [...new Set(permissions)] })
+    };
+
+    const role = await prisma.roleDefinition.upsert({
+      where: { name },
+      create: {
+        name,
+        description: SYSTEM_ROLES[name]?.description ?? null,
+        permissions: SYSTEM_ROLES[name]?.permissions ?? [],
+        ...data
+      },
+      update: data
+    });
+
+    return res.status(200).json({ message: 'Role updated successfully', role, success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Delete Custom Role Or Reset Built-in Role (role:manage)
+router.delete('/:name', requirePermission('role:manage'), async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    const role = await prisma.roleDefinition.findUnique({
+      where: { name },
+      include: {
+        _count: { select: { subAdmins: true } }
+      }
+    });
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found or not customized', success: false });
+    }
+
+    if (role._count.subAdmins > 0) {
+      return res.status(409).json({
+        message: 'This role is still assigned to sub-admins, reassign them first',
+        success: false
+      });
+    }
+
+    await prisma.roleDefinition.delete({ where: { name } });
+
+    return res.status(200).json({
+      message: isSystemRole(name) ? 'Role reset to its default permissions' : 'Role deleted successfully',
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+export default router;
@@ -0,0 +1,259 @@
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { sendMail } from './mailer.js';
+import { revokeAllSessions } from './sessionService.js';
+import { checkCredentials, hasUsablePassword } from './credentialService.js';
+import { createZip } from '../utils/zip.js';
+
+dotenv.config();
+
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const prisma = new PrismaClient();
+
+const ANONYMIZED_NAME = 'Deleted user';
+
+// Unique per user so the email constraint holds, and on a reserved domain so nothing is ever sent there
+const anonymizedEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+/**
+ * Collect everything we store about a user, grouped the way it is written to the export.
+ * Resolves to null when the user does not exist.
+ */
+export const collectUserData = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      emailVerified: true,
+      emailVerifiedAt: true,
+      deletionRequestedAt: true,
+      deletionScheduledAt: true,
+      createdAt: true,
+      updatedAt: true,
+      linkedIdentities: {
+        select: { provider: true, email: true, createdAt: true, lastUsedAt: true }
+      },
+      quizAttempts: {
+        include: {
+          quiz: { select: { id: true, title: true } },
+          answers: {
+            select: { questionId: true, answer: true, correct: true, points: true, createdAt: true, updatedAt: true },
+            orderBy: { createdAt: 'asc' }
+          }
+        },
+        orderBy: { createdAt: 'asc' }
+      },
+      leaderboardEntries: {
+        include: {
+          leaderboard: {
+            select: { quiz: { select: { id: true, title: true } } }
+          }
+        },
+        orderBy: { createdAt: 'asc' }
+      },
+      payments: {
+        include: {
+          quiz: { select: { id: true, title: true } },
+          coupon: { select: { code: true } },
+          refunds: { select: { amount: true, reason: true, createdAt: true } },
+          receipts: { select: { number: true, amount: true, currency: true, voidedAt: true, createdAt: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      },
+      payouts: {
+        include: { quiz: { select: { id: true, title: true } } },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!user) return null;
+
+  const sessions = await prisma.session.findMany({
+    where: { subjectType: 'USER', subjectId: userId },
+    select: { userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true, revokedAt: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const { linkedIdentities, quizAttempts, leaderboardEntries, payments, payouts, ...profile } = user;
+
+  return {
+    profile,
+    linkedIdentities,
+    quizAttempts,
+    leaderboardEntries: leaderboardEntries.map(({ leaderboard, ...entry }) => ({ ...entry, quiz: leaderboard.quiz })),
+    payments,
+    payouts,
+    sessions
+  };
+};
+
+/**
+ * Build a downloadable export of a user's data, either one JSON document or a zip with one JSON file per section.
+ * Resolves to { filename, contentType, body } or null when the user does not exist.
+ */
+export const buildUserExport = async (userId, format = 'json') => {
+  const data = await collectUserData(userId);
+  if (!data) return null;
+
+  const exportedAt = new Date();
+  const stamp = exportedAt.toISOString().slice(0, 10);
+
+  if (format === 'zip') {
+    const files = Object.entries(data).map(([section, content]) => ({
+      name: `${section}.json`,
+      content: JSON.stringify(content, null, 2)
+    }));
+
+    return {
+      filename: `account-export-${stamp}.zip`,
+      contentType: 'application/zip',
+      body: createZip(files, exportedAt)
+    };
+  }
+
+  return {
+    filename: `account-export-${stamp}.json`,
+    contentType: 'application/json; charset=utf-8',
+    body: JSON.stringify({ exportedAt, ...data }, null, 2)
+  };
+};
+
+/**
+ * Schedule a user's account for anonymization after the grace period. Users with a password have to confirm it.
+ * Resolves to { success: true, deletionScheduledAt } or { success: false, status, message, retryAfter? }.
+ */
+export const requestAccountDeletion = async (userId, password) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user || user.anonymizedAt) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  if (user.deletionScheduledAt) {
+    return { success: false, status: 409, message: 'Account deletion has already been requested' };
+  }
+
+  if (hasUsablePassword(user)) {
+    const result = await checkCredentials('USER', user.email, password);
+    if (!result.success) return result;
+  }
+
+  const deletionScheduledAt = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { deletionRequestedAt: new Date(), deletionScheduledAt }
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your account will be deleted',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `We received a request to delete your account. Your personal data will be removed on ${deletionScheduledAt.toUTCString()}.`,
+        'If you change your mind, log in and cancel the deletion before then:',
+        `${FRONTEND_URL}/account`,
+        '',
+        'Payment records are kept without your personal details, as we are required to for accounting.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+  }
+
+  return { success: true, deletionScheduledAt };
+};
+
+// Sent instead of an error when someone signs up with a registered email, so signup does not reveal which emails exist
+export const sendExistingAccountNotice = async (email) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user) return;
+
+    await sendMail({
+      to: user.email,
+      subject: 'You already have an account',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone tried to create a new account with this email address, but you already have one.',
+        'If that was you, log in instead, or reset your password if you no longer know it:',
+        `${FRONTEND_URL}/reset-password`,
+        '',
+        'If it was not you, you can ignore this email.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Error sending existing account notice:', error);
+  }
+};
+
+export const cancelAccountDeletion = async (userId) => {
+  const { count } = await prisma.user.updateMany({
+    where: { id: userId, anonymizedAt: null, deletionScheduledAt: { not: null } },
+    data: { deletionRequestedAt: null, deletionScheduledAt: null }
+  });
+
+  return count > 0;
+};
+
+/**
+ * Strip a user's personal data. The row stays so payments, payouts and results keep their user, but nothing left
+ * on it, or on the receipts issued to it, points back to a person. Logins, linked accounts and tokens are removed.
+ */
+export const anonymizeUser = async (userId) => {
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        email: anonymizedEmail(userId),
+        name: ANONYMIZED_NAME,
+        password: null,
+        emailVerified: false,
+        emailVerifiedAt: null,
+        deletionScheduledAt: null,
+        anonymizedAt: new Date()
+      }
+    }),
+    prisma.receipt.updateMany({
+      where: { payment: { userId } },
+      data: { customerName: ANONYMIZED_NAME, customerEmail: anonymizedEmail(userId) }
+    }),
+    prisma.linkedIdentity.deleteMany({ where: { userId } }),
+    prisma.identityLinkRequest.deleteMany({ where: { userId } }),
+    prisma.emailVerificationToken.deleteMany({ where: { userId } }),
+    prisma.passwordResetToken.deleteMany({ where: { subjectType: 'USER', subjectId: userId } }),
+    prisma.session.updateMany({
+      where: { subjectType: 'USER', subjectId: userId },
+      data: { userAgent: null, ipAddress: null }
+    })
+  ]);
+
+  await revokeAllSessions('USER', userId, 'account deleted');
+};
+
+// Picked up by the scheduler, anonymizes every account whose grace period is over
+export const anonymizeDueAccounts = async () => {
+  const users = await prisma.user.findMany({
+    where: {
+      deletionScheduledAt: { lte: new Date() },
+      anonymizedAt: null
+    },
+    select: { id: true }
+  });
+
+  for (const user of users) {
+    try {
+      await anonymizeUser(user.id);
+    } catch (error) {
+      console.error(`Could not anonymize user ${user.id}:`, error);
+    }
+  }
+};
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { hashToken } from '../utils/secureToken.js';
+import { isKnownPermission, hasPermission, resolvePermissions } from './permissionService.js';
+
+const prisma = new PrismaClient();
+
+const KEY_PREFIX = 'aqk_';
+const MAX_KEY_NAME_LENGTH = 100;
+const MAX_KEY_LIFETIME_DAYS = 365;
+
+// Keys must not be able to mint or revoke other keys
+const FORBIDDEN_SCOPES = ['apikey:manage', 'apikey:audit'];
+
+export const API_KEY_HEADER = 'x-api-key';
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  ownerId: true,
+  ownerType: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+export const extractApiKey = (req) => req.get(API_KEY_HEADER)?.trim() || null;
+
+/**
+ * Create a key for an admin or sub-admin. Scopes can only narrow what the owner may do, never widen it.
+ * Resolves to { success: true, apiKey, key } where key is the plain secret, shown this one time only,
+ * or { success: false, status, message }.
+ */
+export const createApiKey = async ({ owner, ownerPermissions, name, scopes, expiresInDays }) => {
+  const keyName = name?.trim();
+
+  if (!keyName || keyName.length > MAX_KEY_NAME_LENGTH) {
+    return { success: false, status: 400, message: `Please provide a name of at most ${MAX_KEY_NAME_LENGTH} characters` };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { success: false, status: 400, message: 'Please provide at least one scope' };
+  }
+
+  const unknownScope = scopes.find(scope => !isKnownPermission(scope));
+  if (unknownScope) {
+    return { success: false, status: 400, message: `Unknown scope: ${unknownScope}` };
+  }
+
+  const forbiddenScope = scopes.find(scope => FORBIDDEN_SCOPES.includes(scope));
+  if (forbiddenScope) {
+    return { success: false, status: 400, message: `API keys cannot be given the ${forbiddenScope} scope` };
+  }
+
+  const missingScope = scopes.find(scope => !hasPermission(ownerPermissions, scope));
+  if (missingScope) {
+    return { success: false, status: 403, message: `You cannot grant a scope you do not have: ${missingScope}` };
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_KEY_LIFETIME_DAYS) {
+      return { success: false, status: 400, message: `Expiry must be between 1 and ${MAX_KEY_LIFETIME_DAYS} days` };
+    }
+
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name: keyName,
+      // Enough of the key to recognise it in a list, far too little to guess the rest
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      ownerId: owner.id,
+      ownerType: owner.role,
+      expiresAt
+    },
+    select: apiKeySelect
+  });
+
+  return { success: true, apiKey, key };
+};
+
+export const listApiKeys = (where = {}) => {
+  return prisma.apiKey.findMany({
+    where,
+    select: apiKeySelect,
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+export const findApiKey = (where) => prisma.apiKey.findFirst({ where, select: apiKeySelect });
+
+export const revokeApiKey = async (where) => {
+  const { count } = await prisma.apiKey.updateMany({
+    where: { ...where, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  return count > 0;
+};
+
+export const listApiKeyUsage = (apiKeyId, { limit = 100 } = {}) => {
+  return prisma.apiKeyUsage.findMany({
+    where: { apiKeyId },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+};
+
+/**
+ * Look up the key sent with a request and work out what it may do: the owner's current permissions,
+ * narrowed to the key's scopes. Resolves to { apiKey, user, permissions, ownerAdminId } or null when the key
+ * is unknown, revoked, expired or its owner no longer exists.
+ */
+export const authenticateApiKey = async (req, key) => {
+  const apiKey = await prisma.apiKey.findUnique({ where: { keyHash: hashToken(key) } });
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    return null;
+  }
+
+  const user = { id: apiKey.ownerId, role: apiKey.ownerType };
+  const resolved = await resolvePermissions(user);
+  if (!resolved) return null;
+
+  const scopes = new Set(apiKey.scopes);
+  const permissions = new Set(apiKey.scopes.filter(scope => hasPermission(resolved.permissions, scope)));
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date(), lastUsedIp: req.ip ?? null }
+  });
+
+  return {
+    apiKey,
+    user,
+    ownerAdminId: resolved.ownerAdminId,
+    permissions,
+    can: (permission) => hasPermission(scopes, permission) && hasPermission(resolved.permissions, permission)
+  };
+};
+
+// Every request made with a key is logged once the response is sent, denied ones included
+export const auditApiKeyUsage = (req, res, apiKey) => {
+  res.on('finish', () => {
+    prisma.apiKeyUsage.create({
+      data: {
+        apiKeyId: apiKey.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        ipAddress: req.ip ?? null,
+        userAgent: req.get('user-agent') ?? null
+      }
+    }).catch(error => console.error('Error recording API key usage:', error));
+  });
+};
+
+// Requests sent with an X-API-Key header act as the key's owner, limited to the key's scopes
+export const resolveApiKeyRequest = async (req, res, key) => {
+  const resolved = await authenticateApiKey(req, key);
+  if (!resolved) return { status: 401, message: 'Invalid API key' };
+
+  auditApiKeyUsage(req, res, resolved.apiKey);
+  req.apiKey = resolved.apiKey;
+
+  return resolved;
+};
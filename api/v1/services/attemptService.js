@@ -0,0 +1,455 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { roundScore, maxScore, scoreAnswer, isAnswered, describeCorrectAnswer } from './questionService.js';
+
+dotenv.config();
+
+// Submissions this late are still accepted, so a slow network does not cost anyone their attempt
+export const SUBMISSION_GRACE_MS = (Number(process.env.QUIZ_SUBMISSION_GRACE_SECONDS) || 30) * 1000;
+const MAX_DURATION_MINUTES = 24 * 60;
+const MAX_ATTEMPTS = 100;
+const MAX_COOLDOWN_MINUTES = 30 * 24 * 60;
+const prisma = new PrismaClient();
+
+export const SCORING_POLICIES = ['BEST', 'LATEST', 'AVERAGE'];
+
+const parseOptionalCount = (value, name, max) => {
+  if (value === null) return { value: null };
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    return { error: `${name} must be a whole number between 1 and ${max}` };
+  }
+
+  return { value: count };
+};
+
+/**
+ * Validate the per-quiz attempt rules: duration, shuffling, how many questions to draw from the pool, and how often
+ * and how far apart the quiz can be attempted. Only the fields that were sent are returned, as { data } or { error }.
+ */
+export const parseAttemptSettings = ({
+  durationMinutes,
+  shuffleQuestions,
+  shuffleOptions,
+  questionCount,
+  maxAttempts,
+  attemptCooldownMinutes,
+  scoringPolicy
+}) => {
+  const data = {};
+
+  if (maxAttempts !== undefined) {
+    const attempts = Number(maxAttempts);
+    if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_ATTEMPTS) {
+      return { error: `maxAttempts must be a whole number between 1 and ${MAX_ATTEMPTS}` };
+    }
+    data.maxAttempts = attempts;
+  }
+
+  if (attemptCooldownMinutes !== undefined) {
+    const cooldown = Number(attemptCooldownMinutes);
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_COOLDOWN_MINUTES) {
+      return { error: `attemptCooldownMinutes must be a whole number between 0 and ${MAX_COOLDOWN_MINUTES}` };
+    }
+    data.attemptCooldownMinutes = cooldown;
+  }
+
+  if (scoringPolicy !== undefined) {
+    if (!SCORING_POLICIES.includes(scoringPolicy)) {
+      return { error: `scoringPolicy must be one of ${SCORING_POLICIES.join(', ')}` };
+    }
+    data.scoringPolicy = scoringPolicy;
+  }
+
+  if (durationMinutes !== undefined) {
+    const { value, error } = parseOptionalCount(durationMinutes, 'durationMinutes', MAX_DURATION_MINUTES);
+    if (error) return { error };
+    data.durationMinutes = value;
+  }
+
+  if (questionCount !== undefined) {
+    const { value, error } = parseOptionalCount(questionCount, 'questionCount', Number.MAX_SAFE_INTEGER);
+    if (error) return { error };
+    data.questionCount = value;
+  }
+
+  for (const [name, value] of Object.entries({ shuffleQuestions, shuffleOptions })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') return { error: `${name} must be true or false` };
+    data[name] = value;
+  }
+
+  return { data };
+};
+
+// Fisher-Yates with a cryptographic source, so the order cannot be predicted from earlier attempts
+const shuffle = (items) => {
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+/**
+ * Decide which questions an attempt gets and in what order, from a quiz loaded with its questions and options.
+ * Drawing from the pool always picks at random, shuffleQuestions only decides whether they are also served mixed.
+ */
+const buildAttemptLayout = (quiz) => {
+  let questions = quiz.questions;
+
+  if (quiz.questionCount && quiz.questionCount < questions.length) {
+    const drawn = new Set(shuffle(questions).slice(0, quiz.questionCount).map(question => question.id));
+    questions = questions.filter(question => drawn.has(question.id));
+  }
+
+  if (quiz.shuffleQuestions) {
+    questions = shuffle(questions);
+  }
+
+  const optionOrder = quiz.shuffleOptions
+    ? Object.fromEntries(questions.map(question => [question.id, shuffle(question.options.map(option => option.id))]))
+    : null;
+
+  return { questionOrder: questions.map(question => question.id), optionOrder };
+};
+
+/**
+ * The questions served to an attempt, in the order they were served and with their options in the served order.
+ * Attempts started before question pools existed have no stored order and get every question.
+ * Questions removed from the quiz since are left out.
+ */
+const servedQuestionList = (quiz, attempt) => {
+  const byId = new Map(quiz.questions.map(question => [question.id, question]));
+  return attempt.questionOrder.length > 0
+    ? attempt.questionOrder.map(id => byId.get(id)).filter(Boolean)
+    : quiz.questions;
+};
+
+export const getServedQuestions = (quiz, attempt) => {
+  const questions = servedQuestionList(quiz, attempt);
+  const optionOrder = attempt.optionOrder ?? {};
+
+  return questions.map(question => {
+    const order = optionOrder[question.id];
+    if (!order) return question;
+
+    const position = new Map(order.map((id, index) => [id, index]));
+    const rank = (option) => position.get(option.id) ?? order.length;
+    return { ...question, options: [...question.options].sort((a, b) => rank(a) - rank(b)) };
+  });
+};
+
+/**
+ * When an attempt has to be handed in: its duration after it was started, but never after the quiz ends.
+ * Null when neither applies.
+ */
+export const getAttemptDeadline = (quiz, attempt) => {
+  const candidates = [];
+
+  if (quiz.durationMinutes && attempt.startedAt) {
+    candidates.push(new Date(attempt.startedAt.getTime() + quiz.durationMinutes * 60 * 1000));
+  }
+
+  if (quiz.endDate) {
+    candidates.push(quiz.endDate);
+  }
+
+  if (candidates.length === 0) return null;
+  return new Date(Math.min(...candidates.map(date => date.getTime())));
+};
+
+export const isPastDeadline = (deadline, now = new Date()) => {
+  return Boolean(deadline) && now.getTime() > deadline.getTime() + SUBMISSION_GRACE_MS;
+};
+
+/**
+ * Record when the user first opened the attempt and which questions it gets. Opening it again keeps the original
+ * start and order, so reloading the page never buys extra time or a different set of questions.
+ * Takes the quiz with its questions and options, resolves to the attempt as stored.
+ */
+export const startAttempt = async (quiz, attempt) => {
+  if (attempt.startedAt) return attempt;
+
+  const { questionOrder, optionOrder } = buildAttemptLayout(quiz);
+
+  // Two tabs opening the quiz at once both get the layout of whichever one got here first
+  await prisma.quizAttempt.updateMany({
+    where: { id: attempt.id, startedAt: null },
+    data: { startedAt: new Date(), questionOrder, optionOrder: optionOrder ?? undefined }
+  });
+
+  return prisma.quizAttempt.findUnique({ where: { id: attempt.id } });
+};
+
+/**
+ * Grade the questions served to an attempt from its answers, a Map of question ID to parsed answer.
+ * Returns { score, maxScore, results } with one result per served question.
+ */
+export const gradeAttempt = (quiz, attempt, answersByQuestion) => {
+  const servedQuestions = getServedQuestions(quiz, attempt);
+  let score = 0;
+
+  const results = servedQuestions.map((question) => {
+    const answer = answersByQuestion.get(question.id);
+    const { correct, points } = answer ? scoreAnswer(question, answer, quiz) : { correct: false, points: 0 };
+    score += points;
+
+    return {
+      questionId: question.id,
+      answer: answer ?? null,
+      answered: Boolean(answer) && isAnswered(question, answer),
+      correct,
+      points,
+      maxPoints: question.points,
+      correctAnswer: describeCorrectAnswer(question)
+    };
+  });
+
+  return { score: roundScore(score), maxScore: maxScore(servedQuestions), results };
+};
+
+/**
+ * Close an attempt with its grade, keep the final answers and update the user's leaderboard entry.
+ * Takes the quiz with its leaderboard. Only one call can close an attempt, so a second submission sent at the same
+ * time, or the settlement of the quiz, resolves to { closed: false }. Otherwise resolves to { closed: true, leaderboardEntry }.
+ */
+export const closeAttempt = async (quiz, attempt, { score, maxScore, results }) => {
+  const closed = await prisma.$transaction(async (prisma) => {
+    const { count } = await prisma.quizAttempt.updateMany({
+      where: { id: attempt.id, completed: false },
+      data: { score, maxScore, completed: true, completedAt: new Date() }
+    });
+
+    if (count === 0) return false;
+
+    // Keep the final answers with their outcome, next to the timestamps of when they were first and last saved
+    for (const result of results.filter(result => result.answer)) {
+      await prisma.attemptAnswer.upsert({
+        where: {
+          attemptId_questionId: {
+            attemptId: attempt.id,
+            questionId: result.questionId
+          }
+        },
+        update: { answer: result.answer, correct: result.correct, points: result.points },
+        create: {
+          attemptId: attempt.id,
+          questionId: result.questionId,
+          answer: result.answer,
+          correct: result.correct,
+          points: result.points
+        }
+      });
+    }
+
+    return true;
+  });
+
+  if (!closed) return { closed: false };
+
+  // The leaderboard follows the quiz's scoring policy across all of the user's attempts
+  return { closed: true, leaderboardEntry: await updateLeaderboardEntry(quiz, quiz.leaderboard.id, attempt.userId) };
+};
+
+/**
+ * Close the attempts of a quiz whose time ran out without a submission, graded from the answers saved before the
+ * deadline, so nothing can change the ranking afterwards. Resolves to the number of attempts that are still running.
+ */
+export const closeExpiredAttempts = async (quizId) => {
+  const quiz = await prisma.quiz.findUnique({
+    where: { id: quizId },
+    include: {
+      questions: { include: { options: true } },
+      leaderboard: true
+    }
+  });
+
+  const attempts = await prisma.quizAttempt.findMany({
+    where: {
+      quizId,
+      completed: false,
+      startedAt: { not: null }
+    }
+  });
+
+  let running = 0;
+
+  for (const attempt of attempts) {
+    if (!isPastDeadline(getAttemptDeadline(quiz, attempt))) {
+      running += 1;
+      continue;
+    }
+
+    const savedAnswers = await prisma.attemptAnswer.findMany({
+      where: { attemptId: attempt.id }
+    });
+    const answersByQuestion = new Map(savedAnswers.map(saved => [saved.questionId, saved.answer]));
+
+    await closeAttempt(quiz, attempt, gradeAttempt(quiz, attempt, answersByQuestion));
+  }
+
+  return running;
+};
+
+// Attempts are numbered per user and quiz, the one with the highest number is the current one
+export const findCurrentAttempt = (userId, quizId) => {
+  return prisma.quizAttempt.findFirst({
+    where: { userId, quizId },
+    orderBy: { attemptNumber: 'desc' }
+  });
+};
+
+export const listAttempts = (userId, quizId) => {
+  return prisma.quizAttempt.findMany({
+    where: { userId, quizId },
+    orderBy: { attemptNumber: 'asc' }
+  });
+};
+
+// Null when the quiz allows no further attempts, otherwise when the cooldown after the latest attempt is over
+export const nextAttemptAvailableAt = (quiz, attempts) => {
+  const latest = attempts[attempts.length - 1];
+  if (!latest) return new Date();
+  if (!latest.completed || attempts.length >= quiz.maxAttempts) return null;
+
+  const finishedAt = latest.completedAt ?? latest.updatedAt;
+  return new Date(finishedAt.getTime() + quiz.attemptCooldownMinutes * 60 * 1000);
+};
+
+/**
+ * Open the next attempt for a user who has already joined the quiz and finished their previous attempt.
+ * Resolves to { success: true, attempt } or { success: false, status, message, retryAfter? }.
+ */
+export const startNextAttempt = async (quiz, userId) => {
+  const attempts = await listAttempts(userId, quiz.id);
+  const latest = attempts[attempts.length - 1];
+
+  if (!latest) {
+    return { success: false, status: 400, message: 'You need to join this quiz first' };
+  }
+
+  if (!latest.completed) {
+    return { success: false, status: 409, message: 'Finish your current attempt first' };
+  }
+
+  if (attempts.length >= quiz.maxAttempts) {
+    return { success: false, status: 403, message: `This quiz can be attempted at most ${quiz.maxAttempts} time(s)` };
+  }
+
+  const availableAt = nextAttemptAvailableAt(quiz, attempts);
+  if (availableAt > new Date()) {
+    return {
+      success: false,
+      status: 429,
+      message: 'Please wait before starting another attempt',
+      retryAfter: Math.ceil((availableAt.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  try {
+    const attempt = await prisma.quizAttempt.create({
+      data: {
+        userId,
+        quizId: quiz.id,
+        attemptNumber: latest.attemptNumber + 1,
+        score: 0,
+        completed: false
+      }
+    });
+
+    return { success: true, attempt };
+  } catch (error) {
+    // The attempt number is unique per user and quiz, so a second request started at the same time lands here
+    if (error.code === 'P2002') {
+      return { success: false, status: 409, message: 'A new attempt has already been started' };
+    }
+    throw error;
+  }
+};
+
+/**
+ * The most an attempt could score, as stored when it was graded. Attempts graded before that was stored work it out
+ * from the questions they were served, when the quiz is loaded with its questions, and are null otherwise.
+ */
+export const attemptMaxScore = (quiz, attempt) => {
+  if (attempt.maxScore !== null && attempt.maxScore !== undefined) return attempt.maxScore;
+  return quiz.questions ? maxScore(servedQuestionList(quiz, attempt)) : null;
+};
+
+/**
+ * The score that counts for a user under the quiz's scoring policy, from their completed attempts.
+ * Returns { score, maxScore, attempt } where attempt is the one the score comes from (the latest for AVERAGE),
+ * or null when nothing has been completed yet.
+ */
+export const applyScoringPolicy = (quiz, attempts) => {
+  const completed = attempts.filter(attempt => attempt.completed).sort((a, b) => a.attemptNumber - b.attemptNumber);
+  if (completed.length === 0) return null;
+
+  const latest = completed[completed.length - 1];
+
+  if (quiz.scoringPolicy === 'LATEST') {
+    return { score: latest.score, maxScore: attemptMaxScore(quiz, latest), attempt: latest };
+  }
+
+  if (quiz.scoringPolicy === 'AVERAGE') {
+    const average = (values) => roundScore(values.reduce((sum, value) => sum + value, 0) / values.length);
+    const maxScores = completed.map(attempt => attemptMaxScore(quiz, attempt)).filter(value => value !== null);
+
+    return {
+      score: average(completed.map(attempt => attempt.score)),
+      maxScore: maxScores.length > 0 ? average(maxScores) : null,
+      attempt: latest
+    };
+  }
+
+  // The first attempt wins a tie, it got there first
+  const best = completed.reduce((top, attempt) => (attempt.score > top.score ? attempt : top));
+  return { score: best.score, maxScore: attemptMaxScore(quiz, best), attempt: best };
+};
+
+// Bring a user's leaderboard entry in line with their attempts and the quiz's scoring policy
+export const updateLeaderboardEntry = async (quiz, leaderboardId, userId) => {
+  const summary = applyScoringPolicy(quiz, await listAttempts(userId, quiz.id));
+  if (!summary) return null;
+
+  return prisma.leaderBoardEntry.upsert({
+    where: {
+      leaderboardId_userId: {
+        leaderboardId,
+        userId
+      }
+    },
+    update: { score: summary.score },
+    create: {
+      leaderboardId,
+      userId,
+      score: summary.score
+    }
+  });
+};
+
+// Re-score every entry of a quiz, for when its scoring policy changes
+export const recalculateLeaderboard = async (quizId) => {
+  const quiz = await prisma.quiz.findUnique({
+    where: { id: quizId },
+    include: { leaderboard: true }
+  });
+
+  if (!quiz?.leaderboard) return;
+
+  const participants = await prisma.quizAttempt.findMany({
+    where: { quizId, completed: true },
+    distinct: ['userId'],
+    select: { userId: true }
+  });
+
+  for (const { userId } of participants) {
+    await updateLeaderboardEntry(quiz, quiz.leaderboard.id, userId);
+  }
+};
@@ -0,0 +1,137 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const normalizeCouponCode = (code) => String(code).trim().toUpperCase();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export const calculateDiscount = (coupon, price) => {
+  const discount = coupon.discountType === 'PERCENTAGE'
+    ? price * (coupon.discountValue / 100)
+    : coupon.discountValue;
+
+  return roundAmount(Math.min(price, Math.max(0, discount)));
+};
+
+/**
+ * Check that a coupon code can be used by this user on this quiz and price it. The limits are only checked here to
+ * give an early answer, redeemCoupon is what actually takes a use.
+ * Resolves to { success: true, coupon, originalAmount, discountAmount, amount }
+ * or { success: false, status, message }.
+ */
+export const applyCoupon = async ({ code, userId, quiz }) => {
+  const coupon = await prisma.coupon.findUnique({
+    where: { code: normalizeCouponCode(code) },
+    include: {
+      quizzes: {
+        select: { id: true }
+      }
+    }
+  });
+
+  if (!coupon || !coupon.active) {
+    return { success: false, status: 404, message: 'Invalid coupon code' };
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt < new Date()) {
+    return { success: false, status: 400, message: 'This coupon has expired' };
+  }
+
+  if (coupon.quizzes.length > 0 && !coupon.quizzes.some(({ id }) => id === quiz.id)) {
+    return { success: false, status: 400, message: 'This coupon cannot be used for this quiz' };
+  }
+
+  if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    return { success: false, status: 400, message: 'This coupon has reached its usage limit' };
+  }
+
+  const userRedemption = await prisma.couponRedemption.findUnique({
+    where: {
+      couponId_userId: {
+        couponId: coupon.id,
+        userId
+      }
+    }
+  });
+
+  if (coupon.perUserLimit !== null && (userRedemption?.count ?? 0) >= coupon.perUserLimit) {
+    return { success: false, status: 400, message: 'You have already used this coupon' };
+  }
+
+  const discountAmount = calculateDiscount(coupon, quiz.price);
+
+  return {
+    success: true,
+    coupon,
+    originalAmount: quiz.price,
+    discountAmount,
+    amount: roundAmount(quiz.price - discountAmount)
+  };
+};
+
+/**
+ * Take one use of a coupon for a user and create the payment that uses it, in one transaction.
+ * Pending checkouts hold on to their use so a coupon cannot be oversold while people are paying.
+ * Both counters only move while they are under their limit, so concurrent checkouts never take more uses than allowed.
+ * Resolves to { success: true, payment } or { success: false, status, message }.
+ */
+export const redeemCoupon = async ({ coupon, userId, paymentData }) => {
+  return prisma.$transaction(async (prisma) => {
+    await prisma.couponRedemption.createMany({
+      data: [{ couponId: coupon.id, userId }],
+      skipDuplicates: true
+    });
+
+    const { count: userClaimed } = await prisma.couponRedemption.updateMany({
+      where: {
+        couponId: coupon.id,
+        userId,
+        ...(coupon.perUserLimit !== null && { count: { lt: coupon.perUserLimit } })
+      },
+      data: { count: { increment: 1 } }
+    });
+
+    if (userClaimed === 0) {
+      return { success: false, status: 400, message: 'You have already used this coupon' };
+    }
+
+    const { count: claimed } = await prisma.coupon.updateMany({
+      where: {
+        id: coupon.id,
+        active: true,
+        ...(coupon.maxRedemptions !== null && { redemptionCount: { lt: coupon.maxRedemptions } })
+      },
+      data: { redemptionCount: { increment: 1 } }
+    });
+
+    if (claimed === 0) {
+      await prisma.couponRedemption.updateMany({
+        where: { couponId: coupon.id, userId },
+        data: { count: { decrement: 1 } }
+      });
+      return { success: false, status: 400, message: 'This coupon has reached its usage limit' };
+    }
+
+    const payment = await prisma.payment.create({
+      data: { ...paymentData, userId, couponId: coupon.id }
+    });
+
+    return { success: true, payment };
+  });
+};
+
+// Hand a use back once its payment can no longer be paid or was refunded in full, inside the caller's transaction
+export const releaseCouponRedemption = async (tx, payment) => {
+  if (!payment?.couponId) return;
+
+  await tx.coupon.updateMany({
+    where: { id: payment.couponId, redemptionCount: { gt: 0 } },
+    data: { redemptionCount: { decrement: 1 } }
+  });
+
+  await tx.couponRedemption.updateMany({
+    where: { couponId: payment.couponId, userId: payment.userId, count: { gt: 0 } },
+    data: { count: { decrement: 1 } }
+  });
+};
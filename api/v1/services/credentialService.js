@@ -0,0 +1,50 @@
+import bcrypt from 'bcryptjs';
+import { subjectModels } from './sessionService.js';
+import { getLockout, recordLoginFailure, clearLoginFailures } from './loginLockoutService.js';
+
+// Compared against when there is no real hash, so unknown emails take as long as wrong passwords
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 12);
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Accounts created by the old Google callback stored this string instead of a password hash
+export const LEGACY_GOOGLE_PASSWORD = 'google';
+
+// Google-only accounts have no password, or the legacy placeholder
+export const hasUsablePassword = (subject) => Boolean(subject?.password) && subject.password !== LEGACY_GOOGLE_PASSWORD;
+
+const invalidCredentials = { success: false, status: 401, message: 'Invalid credentials' };
+
+/**
+ * Check an email and password for a user, admin or sub-admin, with lockout after repeated failures.
+ * Unknown emails, Google-only accounts and wrong passwords all get the same answer.
+ * Resolves to { success: true, subject } or { success: false, status, message, retryAfter? }.
+ */
+export const checkCredentials = async (subjectType, email, password) => {
+  const lockout = await getLockout(subjectType, email);
+
+  if (lockout.locked) {
+    return {
+      success: false,
+      status: 429,
+      message: 'Too many failed login attempts, please try again later',
+      retryAfter: lockout.retryAfter
+    };
+  }
+
+  const subject = typeof email === 'string'
+    ? await subjectModels[subjectType].findUnique({ where: { email } })
+    : null;
+
+  const hasPassword = hasUsablePassword(subject);
+  const isMatch = await bcrypt.compare(String(password ?? ''), hasPassword ? subject.password : DUMMY_HASH);
+
+  if (!hasPassword || !isMatch) {
+    await recordLoginFailure(subjectType, email);
+    return invalidCredentials;
+  }
+
+  await clearLoginFailures(subjectType, email);
+
+  return { success: true, subject };
+};
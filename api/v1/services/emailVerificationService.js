@@ -0,0 +1,158 @@
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { createSecureToken, hashToken } from '../utils/secureToken.js';
+import { sendMail } from './mailer.js';
+
+dotenv.config();
+
+const VERIFICATION_TOKEN_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 24;
+const RESEND_COOLDOWN_SECONDS = Number(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const MAX_LINKS_PER_HOUR = Number(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR) || 5;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const prisma = new PrismaClient();
+
+/**
+ * Issue a fresh verification link for a user and email it. Earlier links stop working.
+ */
+export const sendVerificationEmail = async (user) => {
+  const { token, tokenHash } = createSecureToken();
+
+  await prisma.$transaction([
+    prisma.emailVerificationToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        userId: user.id,
+        tokenHash,
+        expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000)
+      }
+    })
+  ]);
+
+  const verifyUrl = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address so you can join and pay for quizzes:',
+      verifyUrl,
+      '',
+      `The link is valid for ${VERIFICATION_TOKEN_TTL_HOURS} hours.`
+    ].join('\n')
+  });
+};
+
+// Signup should not fail because a mail could not go out, the user can always ask for a new link
+export const sendVerificationEmailSafely = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+};
+
+/**
+ * Send a new verification link, limited to one per cooldown and a handful per hour.
+ * Resolves to { success: true } or { success: false, status, message, retryAfter? }.
+ */
+export const resendVerificationEmail = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  if (user.emailVerified) {
+    return { success: false, status: 400, message: 'Email is already verified' };
+  }
+
+  const recentTokens = await prisma.emailVerificationToken.findMany({
+    where: {
+      userId,
+      createdAt: { gt: new Date(Date.now() - 60 * 60 * 1000) }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const secondsSinceLast = recentTokens.length > 0
+    ? (Date.now() - recentTokens[0].createdAt.getTime()) / 1000
+    : Infinity;
+
+  if (secondsSinceLast < RESEND_COOLDOWN_SECONDS) {
+    return {
+      success: false,
+      status: 429,
+      message: 'Please wait before requesting another verification email',
+      retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - secondsSinceLast)
+    };
+  }
+
+  if (recentTokens.length >= MAX_LINKS_PER_HOUR) {
+    const oldest = recentTokens[recentTokens.length - 1];
+    return {
+      success: false,
+      status: 429,
+      message: 'Too many verification emails requested, please try again later',
+      retryAfter: Math.ceil((oldest.createdAt.getTime() + 60 * 60 * 1000 - Date.now()) / 1000)
+    };
+  }
+
+  await sendVerificationEmail(user);
+
+  return { success: true };
+};
+
+/**
+ * Mark the owner of a verification token as verified. Tokens work once.
+ * Resolves to { success: true } or { success: false, status, message }.
+ */
+export const verifyEmail = async (token) => {
+  if (!token) {
+    return { success: false, status: 400, message: 'Verification token is required' };
+  }
+
+  const verificationToken = await prisma.emailVerificationToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!verificationToken || verificationToken.usedAt || verificationToken.expiresAt < new Date()) {
+    return { success: false, status: 400, message: 'Invalid or expired verification link' };
+  }
+
+  const verified = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.emailVerificationToken.updateMany({
+      where: { id: verificationToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await tx.user.updateMany({
+      where: { id: verificationToken.userId, emailVerified: false },
+      data: { emailVerified: true, emailVerifiedAt: new Date() }
+    });
+
+    return true;
+  });
+
+  if (!verified) {
+    return { success: false, status: 400, message: 'Invalid or expired verification link' };
+  }
+
+  return { success: true };
+};
+
+// Google has already confirmed the address, so these accounts skip the email round trip
+export const markEmailVerified = (userId) => {
+  return prisma.user.updateMany({
+    where: { id: userId, emailVerified: false },
+    data: { emailVerified: true, emailVerifiedAt: new Date() }
+  });
+};
@@ -0,0 +1,200 @@
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { createSecureToken, hashToken } from '../utils/secureToken.js';
+import { checkCredentials, hasUsablePassword, LEGACY_GOOGLE_PASSWORD } from './credentialService.js';
+import { markEmailVerified } from './emailVerificationService.js';
+
+dotenv.config();
+
+const LINK_REQUEST_TTL_MINUTES = 15;
+const prisma = new PrismaClient();
+
+const invalidLinkRequest = { success: false, status: 400, message: 'Invalid or expired link request' };
+
+const linkIdentity = (tx, userId, { provider, providerSubject, email }) => {
+  return tx.linkedIdentity.create({
+    data: { userId, provider, providerSubject, email }
+  });
+};
+
+/**
+ * Work out what a successful login with an external provider means.
+ * Resolves to { action: 'login', user } when the identity is known or a new account was created,
+ * or { action: 'confirm', token } when the email belongs to an existing account that first has to approve the link.
+ */
+export const resolveExternalLogin = async ({ provider, providerSubject, email, name, emailVerified }) => {
+  const identity = await prisma.linkedIdentity.findUnique({
+    where: { provider_providerSubject: { provider, providerSubject } },
+    include: { user: true }
+  });
+
+  if (identity) {
+    await prisma.linkedIdentity.update({
+      where: { id: identity.id },
+      data: { lastUsedAt: new Date() }
+    });
+
+    return { action: 'login', user: identity.user };
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email },
+    include: { linkedIdentities: true }
+  });
+
+  if (!existingUser) {
+    const user = await prisma.user.create({
+      data: {
+        email,
+        name,
+        password: null,
+        emailVerified: Boolean(emailVerified),
+        emailVerifiedAt: emailVerified ? new Date() : null,
+        linkedIdentities: {
+          create: { provider, providerSubject, email }
+        }
+      }
+    });
+
+    return { action: 'login', user };
+  }
+
+  // The old callback created these accounts itself, so they already belong to this Google account
+  if (provider === 'google' && existingUser.password === LEGACY_GOOGLE_PASSWORD && existingUser.linkedIdentities.length === 0) {
+    const user = await prisma.$transaction(async (tx) => {
+      await linkIdentity(tx, existingUser.id, { provider, providerSubject, email });
+      return tx.user.update({
+        where: { id: existingUser.id },
+        data: { password: null }
+      });
+    });
+
+    if (emailVerified) await markEmailVerified(user.id);
+
+    return { action: 'login', user };
+  }
+
+  const { token, tokenHash } = createSecureToken();
+
+  await prisma.identityLinkRequest.create({
+    data: {
+      userId: existingUser.id,
+      provider,
+      providerSubject,
+      email,
+      tokenHash,
+      expiresAt: new Date(Date.now() + LINK_REQUEST_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  return { action: 'confirm', token };
+};
+
+/**
+ * Link a pending external identity after the owner of the existing account proved it with their password.
+ * Resolves to { success: true, user } or { success: false, status, message, retryAfter? }.
+ */
+export const confirmIdentityLink = async (token, password) => {
+  if (!token) return invalidLinkRequest;
+
+  const request = await prisma.identityLinkRequest.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: true }
+  });
+
+  if (!request || request.usedAt || request.expiresAt < new Date()) {
+    return invalidLinkRequest;
+  }
+
+  if (!hasUsablePassword(request.user)) {
+    return { success: false, status: 400, message: 'This account has no password, log in with a linked provider and link from there' };
+  }
+
+  const credentials = await checkCredentials('USER', request.user.email, password);
+  if (!credentials.success) return credentials;
+
+  const linked = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.identityLinkRequest.updateMany({
+      where: { id: request.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) return false;
+
+    const alreadyLinked = await tx.linkedIdentity.findFirst({
+      where: {
+        OR: [
+          { provider: request.provider, providerSubject: request.providerSubject },
+          { userId: request.userId, provider: request.provider }
+        ]
+      }
+    });
+
+    if (alreadyLinked) return false;
+
+    await linkIdentity(tx, request.userId, request);
+    return true;
+  });
+
+  if (!linked) {
+    return { success: false, status: 409, message: 'This account or provider is already linked' };
+  }
+
+  // The provider has confirmed the address as well
+  await markEmailVerified(request.userId);
+
+  return { success: true, user: request.user };
+};
+
+export const listLinkedIdentities = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      linkedIdentities: {
+        select: {
+          provider: true,
+          email: true,
+          createdAt: true,
+          lastUsedAt: true
+        }
+      }
+    }
+  });
+
+  if (!user) return null;
+
+  return { hasPassword: hasUsablePassword(user), identities: user.linkedIdentities };
+};
+
+/**
+ * Remove a linked provider, unless it is the last way the user can log in.
+ * Resolves to { success: true } or { success: false, status, message }.
+ */
+export const unlinkIdentity = async (userId, provider) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { linkedIdentities: true }
+  });
+
+  if (!user) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  const identity = user.linkedIdentities.find(linked => linked.provider === provider);
+
+  if (!identity) {
+    return { success: false, status: 404, message: 'This provider is not linked to your account' };
+  }
+
+  if (!hasUsablePassword(user) && user.linkedIdentities.length === 1) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Set a password before unlinking your only login method, you can do so with the forgot password flow'
+    };
+  }
+
+  await prisma.linkedIdentity.delete({ where: { id: identity.id } });
+
+  return { success: true };
+};
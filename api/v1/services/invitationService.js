@@ -0,0 +1,163 @@
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { createSecureToken, hashToken } from '../utils/secureToken.js';
+import { MIN_PASSWORD_LENGTH } from './credentialService.js';
+import { sendMail } from './mailer.js';
+
+dotenv.config();
+
+const SALT_ROUNDS = 12;
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS) || 72;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const prisma = new PrismaClient();
+
+const invalidInvitation = { success: false, status: 400, message: 'Invalid or expired invitation' };
+
+const isEmailTaken = async (email) => {
+  const [admin, subAdmin] = await Promise.all([
+    prisma.admin.findUnique({ where: { email } }),
+    prisma.subAdmin.findUnique({ where: { email } })
+  ]);
+
+  return Boolean(admin || subAdmin);
+};
+
+/**
+ * Invite someone to become an admin, or a sub-admin of adminId. Earlier pending invites for the email are revoked.
+ * Resolves to { success: true, invitation } or { success: false, status, message }.
+ */
+export const createInvitation = async ({ email, name = null, role, isSuper = false, adminId = null, invitedBy }) => {
+  if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+    return { success: false, status: 400, message: 'Please provide a valid email' };
+  }
+
+  if (await isEmailTaken(email)) {
+    return { success: false, status: 409, message: 'An admin or sub-admin with this email already exists' };
+  }
+
+  const { token, tokenHash } = createSecureToken();
+
+  const invitation = await prisma.$transaction(async (tx) => {
+    await tx.invitation.updateMany({
+      where: { email, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return tx.invitation.create({
+      data: {
+        email,
+        name,
+        role,
+        isSuper: role === 'ADMIN' && isSuper,
+        adminId: role === 'SUB_ADMIN' ? adminId : null,
+        invitedById: invitedBy.id,
+        invitedByType: invitedBy.role,
+        tokenHash,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000)
+      },
+      include: {
+        admin: { select: { name: true } }
+      }
+    });
+  });
+
+  const acceptUrl = `${FRONTEND_URL}/admin/accept-invite?token=${encodeURIComponent(token)}`;
+  const position = role === 'SUB_ADMIN' ? `a sub-admin for ${invitation.admin.name}` : 'an admin';
+
+  await sendMail({
+    to: email,
+    subject: 'You have been invited to AUCESS',
+    text: [
+      `Hi${name ? ` ${name}` : ''},`,
+      '',
+      `You have been invited to join AUCESS as ${position}.`,
+      'Choose your password with the link below to activate your account:',
+      acceptUrl,
+      '',
+      `The invitation expires in ${INVITATION_TTL_HOURS} hours.`
+    ].join('\n')
+  });
+
+  const { tokenHash: _tokenHash, admin: _admin, ...safeInvitation } = invitation;
+
+  return { success: true, invitation: safeInvitation };
+};
+
+const findPendingInvitation = async (token) => {
+  if (!token) return null;
+
+  const invitation = await prisma.invitation.findUnique({ where: { tokenHash: hashToken(token) } });
+
+  if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt < new Date()) {
+    return null;
+  }
+
+  return invitation;
+};
+
+// What the accept page shows before the invitee picks a password
+export const previewInvitation = async (token) => {
+  const invitation = await findPendingInvitation(token);
+  if (!invitation) return invalidInvitation;
+
+  return {
+    success: true,
+    invitation: {
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    }
+  };
+};
+
+/**
+ * Create the invited account with the password the invitee chose. Invitations work once.
+ * Resolves to { success: true, subject } or { success: false, status, message }.
+ */
+export const acceptInvitation = async (token, { name, password }) => {
+  const invitation = await findPendingInvitation(token);
+  if (!invitation) return invalidInvitation;
+
+  const accountName = name || invitation.name;
+
+  if (!accountName) {
+    return { success: false, status: 400, message: 'Please provide your name' };
+  }
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, status: 400, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` };
+  }
+
+  if (await isEmailTaken(invitation.email)) {
+    return { success: false, status: 409, message: 'An account with this email already exists' };
+  }
+
+  const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+
+  const subject = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.invitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+      data: { acceptedAt: new Date() }
+    });
+
+    if (count === 0) return null;
+
+    const data = { email: invitation.email, name: accountName, password: hashedPassword };
+
+    if (invitation.role === 'SUB_ADMIN') {
+      return tx.subAdmin.create({
+        data: { ...data, adminId: invitation.adminId }
+      });
+    }
+
+    return tx.admin.create({
+      data: { ...data, isSuper: invitation.isSuper }
+    });
+  });
+
+  if (!subject) return invalidInvitation;
+
+  return { success: true, subject };
+};
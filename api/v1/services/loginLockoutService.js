@@ -0,0 +1,61 @@
+import dotenv from 'dotenv';
+import { getThrottleStore } from './throttleStore.js';
+
+dotenv.config();
+
+const MAX_FAILED_LOGINS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const FAILURE_WINDOW_MS = (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+const FAILURE_PREFIX = 'login-failures:';
+const LOCK_PREFIX = 'login-lock:';
+
+// Accounts are keyed by email, whether or not it exists, so a lockout never tells anyone an account is real
+const accountKey = (subjectType, email) => `${subjectType}:${String(email ?? '').trim().toLowerCase()}`;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Resolves to { locked: false } or { locked: true, retryAfter } with retryAfter in seconds.
+ */
+export const getLockout = async (subjectType, email) => {
+  const lock = await getThrottleStore().get(LOCK_PREFIX + accountKey(subjectType, email));
+  return lock ? { locked: true, retryAfter: secondsUntil(lock.resetTime) } : { locked: false };
+};
+
+export const recordLoginFailure = async (subjectType, email) => {
+  const store = getThrottleStore();
+  const key = accountKey(subjectType, email);
+  const failures = await store.increment(FAILURE_PREFIX + key, FAILURE_WINDOW_MS);
+
+  if (failures.count >= MAX_FAILED_LOGINS) {
+    await store.reset(FAILURE_PREFIX + key);
+    await store.increment(LOCK_PREFIX + key, LOCKOUT_MS);
+  }
+};
+
+export const clearLoginFailures = async (subjectType, email) => {
+  await getThrottleStore().reset(FAILURE_PREFIX + accountKey(subjectType, email));
+};
+
+export const listLockouts = async () => {
+  const locks = await getThrottleStore().list(LOCK_PREFIX);
+
+  return locks.map(({ key, resetTime }) => {
+    const [subjectType, ...email] = key.slice(LOCK_PREFIX.length).split(':');
+    return {
+      subjectType,
+      email: email.join(':'),
+      lockedUntil: resetTime,
+      retryAfter: secondsUntil(resetTime)
+    };
+  });
+};
+
+export const unlockAccount = async (subjectType, email) => {
+  const store = getThrottleStore();
+  const key = accountKey(subjectType, email);
+
+  await store.reset(LOCK_PREFIX + key);
+  await store.reset(FAILURE_PREFIX + key);
+};
@@ -0,0 +1,10 @@
+// Prints mails to the server log, for local development
+const consoleTransport = {
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    console.log(`--- mail from ${from} to ${to} ---\nSubject: ${subject}\n\n${text}\n--- end of mail ---`);
+  }
+};
+
+export default consoleTransport;
@@ -0,0 +1,24 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Writes every mail to its own JSON file so tests can read the links back
+const fileTransport = {
+  name: 'file',
+
+  async send(mail) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const filename = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, filename),
+      JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+export default fileTransport;
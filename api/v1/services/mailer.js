@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+import consoleTransport from './mailTransports/consoleTransport.js';
+import fileTransport from './mailTransports/fileTransport.js';
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'AUCESS <no-reply@aucess.local>';
+
+/**
+ * Mail transports expose:
+ *
+ *  name                                 unique transport key
+ *  send({ from, to, subject, text, html })
+ *
+ * The active transport is picked with MAIL_TRANSPORT (defaults to console, file writes to MAIL_OUTBOX_DIR).
+ */
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport
+};
+
+export const registerMailTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
@@ -0,0 +1,172 @@
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { createSecureToken, hashToken } from '../utils/secureToken.js';
+import { subjectModels, revokeAllSessions } from './sessionService.js';
+import { sendMail } from './mailer.js';
+import { hasUsablePassword, checkCredentials, MIN_PASSWORD_LENGTH } from './credentialService.js';
+
+dotenv.config();
+
+const SALT_ROUNDS = 12;
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 30;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const prisma = new PrismaClient();
+
+const resetPaths = {
+  USER: '/reset-password',
+  ADMIN: '/admin/reset-password',
+  SUB_ADMIN: '/subadmin/reset-password'
+};
+
+const buildResetMail = (subject, resetUrl) => {
+  const intro = !hasUsablePassword(subject)
+    ? 'Your account was created with Google sign-in and has no password yet. Setting one lets you log in with your email as well, Google sign-in keeps working.'
+    : 'We received a request to reset the password of your account.';
+
+  const text = [
+    `Hi ${subject.name},`,
+    '',
+    intro,
+    '',
+    `Use the link below within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:`,
+    resetUrl,
+    '',
+    'If you did not ask for this you can ignore this email, your password stays unchanged.'
+  ].join('\n');
+
+  return { subject: 'Reset your password', text };
+};
+
+const sendPasswordReset = async (subjectType, email) => {
+
+  const subject = await subjectModels[subjectType].findUnique({ where: { email } });
+  if (!subject) return;
+
+  const { token, tokenHash } = createSecureToken();
+
+  await prisma.$transaction([
+    // Only the most recent link works
+    prisma.passwordResetToken.updateMany({
+      where: { subjectType, subjectId: subject.id, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        subjectType,
+        subjectId: subject.id,
+        tokenHash,
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+      }
+    })
+  ]);
+
+  const resetUrl = `${FRONTEND_URL}${resetPaths[subjectType]}?token=${encodeURIComponent(token)}`;
+  await sendMail({ to: subject.email, ...buildResetMail(subject, resetUrl) });
+};
+
+/**
+ * Email a reset link to the account with this email, if there is one.
+ * The lookup and the mail happen in the background, so the caller answers just as fast for unknown emails
+ * and the endpoint cannot be used to find out which emails are registered.
+ */
+export const requestPasswordReset = (subjectType, email) => {
+  if (!email) return;
+
+  sendPasswordReset(subjectType, email).catch(error => {
+    console.error('Error sending password reset email:', error);
+  });
+};
+
+const checkNewPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, status: 400, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` };
+  }
+  return null;
+};
+
+/**
+ * Set a new password with a reset token. Tokens work once, and every session of the account is revoked afterwards.
+ * Resolves to { success: true } or { success: false, status, message }.
+ */
+export const confirmPasswordReset = async (subjectType, token, newPassword) => {
+  if (!token || !newPassword) {
+    return { success: false, status: 400, message: 'Token and new password are required' };
+  }
+
+  const invalidPassword = checkNewPassword(newPassword);
+  if (invalidPassword) return invalidPassword;
+
+  const resetToken = await prisma.passwordResetToken.findUnique({ where: { tokenHash: hashToken(token) } });
+
+  if (!resetToken || resetToken.subjectType !== subjectType || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+    return { success: false, status: 400, message: 'Invalid or expired reset token' };
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+  const reset = await prisma.$transaction(async (tx) => {
+    // Claim the token first so the same link cannot be used twice in parallel
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    const model = { USER: tx.user, ADMIN: tx.admin, SUB_ADMIN: tx.subAdmin }[subjectType];
+    const { count: updated } = await model.updateMany({
+      where: { id: resetToken.subjectId },
+      data: { password: hashedPassword }
+    });
+
+    return updated > 0;
+  });
+
+  if (!reset) {
+    return { success: false, status: 400, message: 'Invalid or expired reset token' };
+  }
+
+  await revokeAllSessions(subjectType, resetToken.subjectId, 'password reset');
+
+  return { success: true };
+};
+
+/**
+ * Change the password of a signed in account, which has to prove it knows the current one.
+ * Accounts without a password yet set one through the reset link instead. Every session is revoked afterwards.
+ * Resolves to { success: true } or { success: false, status, message, retryAfter? }.
+ */
+export const changePassword = async (subjectType, subjectId, currentPassword, newPassword) => {
+  const subject = await subjectModels[subjectType].findUnique({ where: { id: subjectId } });
+
+  if (!subject) {
+    return { success: false, status: 404, message: 'Account not found' };
+  }
+
+  if (!hasUsablePassword(subject)) {
+    return { success: false, status: 400, message: 'This account has no password yet, use a password reset link to set one' };
+  }
+
+  if (!currentPassword) {
+    return { success: false, status: 400, message: 'Current password is required' };
+  }
+
+  const invalidPassword = checkNewPassword(newPassword);
+  if (invalidPassword) return invalidPassword;
+
+  // Goes through the login lockout, so this cannot be used to guess the current password either
+  const credentials = await checkCredentials(subjectType, subject.email, currentPassword);
+  if (!credentials.success) return credentials;
+
+  await subjectModels[subjectType].update({
+    where: { id: subjectId },
+    data: { password: await bcrypt.hash(newPassword, SALT_ROUNDS) }
+  });
+
+  await revokeAllSessions(subjectType, subjectId, 'password change');
+
+  return { success: true };
+};
@@ -0,0 +1,57 @@
+import dotenv from 'dotenv';
+import mockProvider from './providers/mockProvider.js';
+
+dotenv.config();
+
+/**
+ * Every payment provider exposes the same shape so routes never talk to a gateway directly:
+ *
+ *  name                                                   unique provider key, stored on Payment.provider
+ *  createCheckout({ paymentId, amount, currency, user, quiz })
+ *                                                         -> { providerPaymentId, checkoutUrl }
+ *  getPaymentStatus(providerPaymentId)                    -> 'PENDING' | 'COMPLETED' | 'FAILED' | 'CANCELLED'
+ *  refundPayment({ providerPaymentId, amount, currency, reason })
+ *                                                         -> { providerRefundId }
+ *  cancelCheckout(providerPaymentId)                      closes a checkout that has not been paid yet
+ *  parseWebhook(rawBody, headers)                         -> { id, type, providerPaymentId, status } or null
+ *                                                            when the signature does not verify
+ *
+ * The active provider is picked with PAYMENT_PROVIDER. Outside production it defaults to the local mock provider.
+ */
+const providers = {};
+
+// The mock checkout lets users mark their own payments as paid, so production only gets it when explicitly asked for
+export const isMockPaymentProviderEnabled = () => {
+  return process.env.NODE_ENV !== 'production' || process.env.ALLOW_MOCK_PAYMENTS === 'true';
+};
+
+if (isMockPaymentProviderEnabled()) {
+  providers[mockProvider.name] = mockProvider;
+}
+
+export const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const defaultProviderName = () => {
+  return process.env.PAYMENT_PROVIDER || (isMockPaymentProviderEnabled() ? mockProvider.name : null);
+};
+
+export const getPaymentProvider = (name = defaultProviderName()) => {
+  if (!name) {
+    throw new Error('No payment provider configured, set PAYMENT_PROVIDER');
+  }
+
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  return provider;
+};
+
+// Called on startup so a misconfigured server refuses to run instead of taking payments it cannot verify
+export const assertPaymentProviderConfigured = () => {
+  getPaymentProvider();
+};
@@ -0,0 +1,232 @@
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { getPaymentProvider } from './paymentProvider.js';
+import { releaseCouponRedemption } from './couponService.js';
+import { issueReceiptSafely } from './receiptService.js';
+
+dotenv.config();
+
+// Checkouts left unpaid this long are closed, so they stop holding on to coupon uses
+const CHECKOUT_EXPIRY_MINUTES = Number(process.env.CHECKOUT_EXPIRY_MINUTES) || 60;
+const prisma = new PrismaClient();
+
+// Statuses that still give the user access to the quiz they paid for
+export const PAID_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+// Checkouts that ended without the user paying
+const CLOSED_STATUSES = ['FAILED', 'CANCELLED'];
+
+// Money is stored as Float, compare with a small tolerance so 0.1 + 0.2 style errors never block a full refund
+const EPSILON = 0.000001;
+
+/**
+ * Move a pending payment to the status the gateway reported. Only a pending payment moves, so a late or repeated
+ * update never undoes a completed or refunded payment. Runs in the given transaction or opens its own.
+ * Resolves to true when this call made the change.
+ */
+export const settlePendingPayment = async (paymentId, status, tx) => {
+  if (!tx) {
+    return prisma.$transaction((tx) => settlePendingPayment(paymentId, status, tx));
+  }
+
+  const { count } = await tx.payment.updateMany({
+    where: {
+      id: paymentId,
+      status: 'PENDING'
+    },
+    data: {
+      status,
+      ...(status === 'COMPLETED' && { completedAt: new Date() }),
+      ...(CLOSED_STATUSES.includes(status) && { activeQuizId: null })
+    }
+  });
+
+  if (count > 0 && CLOSED_STATUSES.includes(status)) {
+    await releaseCouponRedemption(tx, await tx.payment.findUnique({ where: { id: paymentId } }));
+  }
+
+  return count > 0;
+};
+
+// Give back an amount claimed by refundPayment when the gateway refused the refund
+const releaseRefund = async (paymentId, amount) => {
+  return prisma.$transaction(async (prisma) => {
+    const payment = await prisma.payment.update({
+      where: { id: paymentId },
+      data: { refundedAmount: { decrement: amount } }
+    });
+
+    return prisma.payment.update({
+      where: { id: paymentId },
+      data: { status: payment.refundedAmount > EPSILON ? 'PARTIALLY_REFUNDED' : 'COMPLETED' }
+    });
+  });
+};
+
+/**
+ * Refund a paid payment, fully or partially.
+ * A full refund also revokes the user's attempt as long as they have not started the quiz yet.
+ * Resolves to { success: true, payment, refund } or { success: false, status, message }.
+ */
+export const refundPayment = async ({ paymentId, amount, reason, issuedBy }) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId }
+  });
+
+  if (!payment) {
+    return { success: false, status: 404, message: 'Payment not found' };
+  }
+
+  if (!PAID_STATUSES.includes(payment.status)) {
+    return { success: false, status: 400, message: `A ${payment.status} payment cannot be refunded` };
+  }
+
+  const refundable = payment.amount - payment.refundedAmount;
+  const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable + EPSILON) {
+    return {
+      success: false,
+      status: 400,
+      message: `Refund amount must be greater than 0 and at most ${refundable}`
+    };
+  }
+
+  const fullyRefunded = refundAmount >= refundable - EPSILON;
+
+  // Claim the amount before any money moves. The update only matches while the payment is exactly as we read it,
+  // so of two refunds racing each other only one gets through and the total can never exceed what was paid.
+  const { count } = await prisma.payment.updateMany({
+    where: {
+      id: payment.id,
+      status: payment.status,
+      refundedAmount: payment.refundedAmount
+    },
+    data: {
+      refundedAmount: payment.refundedAmount + refundAmount,
+      status: fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED'
+    }
+  });
+
+  if (count === 0) {
+    return { success: false, status: 409, message: 'Payment changed while refunding, please retry' };
+  }
+
+  let providerRefundId = null;
+
+  // Payments that never went through a gateway have nothing to send back
+  if (payment.providerPaymentId) {
+    try {
+      const provider = getPaymentProvider(payment.provider);
+      ({ providerRefundId } = await provider.refundPayment({
+        providerPaymentId: payment.providerPaymentId,
+        amount: refundAmount,
+        currency: payment.currency,
+        reason
+      }));
+    } catch (error) {
+      await releaseRefund(payment.id, refundAmount);
+      throw error;
+    }
+  }
+
+  return prisma.$transaction(async (prisma) => {
+    const refund = await prisma.refund.create({
+      data: {
+        paymentId: payment.id,
+        amount: refundAmount,
+        reason,
+        providerRefundId,
+        issuedBy
+      }
+    });
+
+    if (fullyRefunded) {
+      await releaseCouponRedemption(prisma, payment);
+
+      // The user can buy the quiz again once all of their money is back
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: { activeQuizId: null }
+      });
+    }
+
+    const updatedPayment = await prisma.payment.findUnique({
+      where: { id: payment.id }
+    });
+
+    let attemptRevoked = false;
+
+    if (fullyRefunded && payment.quizId) {
+      // An attempt that was never opened has not been used, so the user loses access with the money
+      const { count } = await prisma.quizAttempt.deleteMany({
+        where: {
+          userId: payment.userId,
+          quizId: payment.quizId,
+          startedAt: null
+        }
+      });
+      attemptRevoked = count > 0;
+    }
+
+    return { success: true, payment: updatedPayment, refund, attemptRevoked };
+  });
+};
+
+/**
+ * Close a checkout that has not been paid yet.
+ * Resolves to { success: true, payment } or { success: false, status, message }.
+ */
+export const cancelPayment = async ({ paymentId }) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId }
+  });
+
+  if (!payment) {
+    return { success: false, status: 404, message: 'Payment not found' };
+  }
+
+  if (payment.status !== 'PENDING') {
+    return { success: false, status: 400, message: 'Only pending payments can be cancelled' };
+  }
+
+  if (payment.providerPaymentId) {
+    const provider = getPaymentProvider(payment.provider);
+    await provider.cancelCheckout(payment.providerPaymentId);
+  }
+
+  if (!(await settlePendingPayment(payment.id, 'CANCELLED'))) {
+    return { success: false, status: 409, message: 'Payment changed status while cancelling, please retry' };
+  }
+
+  return {
+    success: true,
+    payment: await prisma.payment.findUnique({ where: { id: payment.id } })
+  };
+};
+
+// Picked up by the scheduler, closes checkouts nobody finished, unless the gateway says they were paid after all
+export const expireStaleCheckouts = async () => {
+  const payments = await prisma.payment.findMany({
+    where: {
+      status: 'PENDING',
+      createdAt: { lt: new Date(Date.now() - CHECKOUT_EXPIRY_MINUTES * 60 * 1000) }
+    }
+  });
+
+  for (const payment of payments) {
+    try {
+      const status = payment.providerPaymentId
+        ? await getPaymentProvider(payment.provider).getPaymentStatus(payment.providerPaymentId)
+        : 'PENDING';
+
+      if (status === 'PENDING') {
+        await cancelPayment({ paymentId: payment.id });
+      } else if ((await settlePendingPayment(payment.id, status)) && status === 'COMPLETED') {
+        await issueReceiptSafely(payment.id);
+      }
+    } catch (error) {
+      console.error(`Could not expire payment ${payment.id}:`, error);
+    }
+  }
+};
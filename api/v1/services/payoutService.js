@@ -0,0 +1,194 @@
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { PAID_STATUSES } from './paymentService.js';
+import { SUBMISSION_GRACE_MS, closeExpiredAttempts } from './attemptService.js';
+
+dotenv.config();
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'INR';
+const prisma = new PrismaClient();
+
+// Never pay out more than was promised, so shares are rounded down to the cent
+const floorAmount = (amount) => Math.floor(amount * 100) / 100;
+
+// The pool is whatever entry fees were collected and not refunded
+export const calculatePrizePool = async (quizId) => {
+  const payments = await prisma.payment.findMany({
+    where: {
+      quizId,
+      status: { in: PAID_STATUSES }
+    },
+    select: {
+      amount: true,
+      refundedAmount: true
+    }
+  });
+
+  return floorAmount(payments.reduce((sum, payment) => sum + payment.amount - payment.refundedAmount, 0));
+};
+
+/**
+ * Work out who wins what from leaderboard entries.
+ * Tied players share the prizes of every position they occupy equally and all get the highest of those ranks,
+ * e.g. two players tied for first split the 1st and 2nd prize and the next player is ranked 3rd.
+ */
+export const computePayouts = (entries, tiers, pool) => {
+  const prizeByRank = new Map(tiers.map(tier => [
+    tier.rank,
+    tier.type === 'PERCENTAGE' ? pool * (tier.value / 100) : tier.value
+  ]));
+
+  const sortedEntries = [...entries].sort((a, b) => b.score - a.score);
+  const payouts = [];
+  let position = 1;
+
+  for (let i = 0; i < sortedEntries.length;) {
+    const score = sortedEntries[i].score;
+    const tied = [];
+
+    while (i < sortedEntries.length && sortedEntries[i].score === score) {
+      tied.push(sortedEntries[i]);
+      i += 1;
+    }
+
+    let sharedPrize = 0;
+    for (let rank = position; rank < position + tied.length; rank += 1) {
+      sharedPrize += prizeByRank.get(rank) ?? 0;
+    }
+
+    const share = floorAmount(sharedPrize / tied.length);
+
+    if (share > 0) {
+      tied.forEach(entry => payouts.push({
+        userId: entry.userId,
+        rank: position,
+        score: entry.score,
+        amount: share
+      }));
+    }
+
+    position += tied.length;
+  }
+
+  return payouts;
+};
+
+// Submissions are still accepted for a short while after the deadline, the ranking is only final once that is over
+const isClosedForSubmissions = (quiz, now = new Date()) => {
+  return Boolean(quiz.endDate) && quiz.endDate.getTime() + SUBMISSION_GRACE_MS < now.getTime();
+};
+
+// On paid quizzes only players who still hold a completed payment compete, refunded entries keep their scores
+// on the leaderboard but cannot win
+const findRankedEntries = async (quiz) => {
+  const entries = await prisma.leaderBoardEntry.findMany({ where: { leaderboardId: quiz.leaderboard.id } });
+  if (!(quiz.price > 0)) return entries;
+
+  const payments = await prisma.payment.findMany({
+    where: {
+      quizId: quiz.id,
+      userId: { in: entries.map(entry => entry.userId) },
+      status: 'COMPLETED'
+    },
+    select: { userId: true }
+  });
+
+  const paidUsers = new Set(payments.map(payment => payment.userId));
+  return entries.filter(entry => paidUsers.has(entry.userId));
+};
+
+/**
+ * Turn the final leaderboard of an ended quiz into payout records. Each quiz is settled only once.
+ * Resolves to { success: true, payouts, pool } or { success: false, status, message }.
+ */
+export const settleQuizPrizes = async (quizId) => {
+  const quiz = await prisma.quiz.findUnique({
+    where: { id: quizId },
+    include: {
+      prizeTiers: true,
+      leaderboard: true
+    }
+  });
+
+  if (!quiz) {
+    return { success: false, status: 404, message: 'Quiz not found' };
+  }
+
+  if (!isClosedForSubmissions(quiz)) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Prizes can only be settled after the quiz has ended and late submissions are closed'
+    };
+  }
+
+  if (quiz.prizesSettledAt) {
+    return { success: false, status: 409, message: 'Prizes for this quiz have already been settled' };
+  }
+
+  if (quiz.prizeTiers.length === 0) {
+    return { success: false, status: 400, message: 'This quiz has no prize structure' };
+  }
+
+  // Attempts nobody submitted are graded from what they saved, after that the leaderboard cannot change anymore
+  const runningAttempts = await closeExpiredAttempts(quizId);
+
+  if (runningAttempts > 0) {
+    return { success: false, status: 409, message: 'Some attempts at this quiz are still in progress' };
+  }
+
+  const entries = quiz.leaderboard
+    ? await findRankedEntries(quiz)
+    : [];
+
+  const pool = await calculatePrizePool(quizId);
+  const payouts = computePayouts(entries, quiz.prizeTiers, pool);
+
+  return prisma.$transaction(async (prisma) => {
+    // Claim the quiz first so two settlements running side by side cannot both create payouts
+    const { count } = await prisma.quiz.updateMany({
+      where: { id: quizId, prizesSettledAt: null },
+      data: { prizesSettledAt: new Date() }
+    });
+
+    if (count === 0) {
+      return { success: false, status: 409, message: 'Prizes for this quiz have already been settled' };
+    }
+
+    await prisma.payout.createMany({
+      data: payouts.map(payout => ({
+        ...payout,
+        quizId,
+        currency: PAYMENT_CURRENCY
+      }))
+    });
+
+    return {
+      success: true,
+      pool,
+      payouts: await prisma.payout.findMany({
+        where: { quizId },
+        orderBy: { rank: 'asc' }
+      })
+    };
+  });
+};
+
+// Picked up by the scheduler, settles every ended quiz that has a prize structure
+export const settleEndedQuizzes = async () => {
+  const quizzes = await prisma.quiz.findMany({
+    where: {
+      endDate: { lt: new Date(Date.now() - SUBMISSION_GRACE_MS) },
+      prizesSettledAt: null,
+      prizeTiers: { some: {} }
+    },
+    select: { id: true }
+  });
+
+  for (const quiz of quizzes) {
+    const result = await settleQuizPrizes(quiz.id);
+    if (!result.success && result.status !== 409) {
+      console.error(`Could not settle prizes for quiz ${quiz.id}: ${result.message}`);
+    }
+  }
+};
@@ -0,0 +1,151 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Every permission the API checks. Permissions ending in :own only cover quizzes (and their payments, coupons,
+ * receipts and payouts) owned by the admin, or by the parent admin for sub-admins. The matching :any permission
+ * covers everything and implies :own.
+ */
+export const PERMISSIONS = {
+  'quiz:create': 'Create quizzes',
+  'quiz:update:own': 'Edit own quizzes and their prize structure',
+  'quiz:update:any': 'Edit any quiz and its prize structure',
+  'quiz:delete:own': 'Delete own quizzes',
+  'quiz:delete:any': 'Delete any quiz',
+  'quiz:view': 'Browse quizzes with their leaderboards and prizes',
+  'quiz:participants:view': 'See who joined a quiz',
+  'prize:settle:own': 'Settle prizes of own quizzes',
+  'prize:settle:any': 'Settle prizes of any quiz',
+  'user:view': 'List users',
+  'user:delete': 'Delete users',
+  'admin:invite': 'Invite new admins',
+  'subadmin:view': 'List sub-admins',
+  'subadmin:create': 'Invite sub-admins',
+  'subadmin:delete': 'Delete sub-admins',
+  'subadmin:permissions:manage': 'Change the role and permissions of sub-admins',
+  'coupon:manage:own': 'Manage coupons for own quizzes',
+  'coupon:manage:any': 'Manage coupons for any quiz',
+  'payment:refund:own': 'Refund payments for own quizzes',
+  'payment:refund:any': 'Refund any payment',
+  'payment:cancel:own': 'Cancel pending payments for own quizzes',
+  'payment:cancel:any': 'Cancel any pending payment',
+  'receipt:view:own': 'View receipts for own quizzes',
+  'receipt:view:any': 'View any receipt',
+  'receipt:reissue:own': 'Reissue receipts for own quizzes',
+  'receipt:reissue:any': 'Reissue any receipt',
+  'payout:view:own': 'View payouts for own quizzes',
+  'payout:view:any': 'View any payout',
+  'payout:approve:own': 'Approve and mark payouts paid for own quizzes',
+  'payout:approve:any': 'Approve and mark any payout paid',
+  'report:view:own': 'View reports for own quizzes',
+  'report:view:any': 'View reports for all quizzes',
+  'lockout:manage': 'View and clear login lockouts of users',
+  'lockout:manage:admins': 'View and clear login lockouts of admins and sub-admins',
+  'settings:manage': 'Change security settings',
+  'role:manage': 'Manage role definitions',
+  'apikey:manage': 'Create and revoke own API keys',
+  'apikey:audit': 'View and revoke every API key and its usage log'
+};
+
+export const ALL_PERMISSIONS = '*';
+
+/**
+ * Built-in roles. ADMIN and SUB_ADMIN can be redefined by super admins, a stored RoleDefinition with the same
+ * name takes precedence. SUPER_ADMIN always has every permission.
+ */
+export const SYSTEM_ROLES = {
+  SUPER_ADMIN: {
+    description: 'Admins flagged as super admin',
+    permissions: [ALL_PERMISSIONS]
+  },
+  ADMIN: {
+    description: 'Quiz owners',
+    permissions: [
+      'quiz:create',
+      'quiz:update:own',
+      'quiz:delete:own',
+      'quiz:view',
+      'quiz:participants:view',
+      'prize:settle:own',
+      'user:view',
+      'user:delete',
+      'subadmin:view',
+      'subadmin:create',
+      'subadmin:delete',
+      'subadmin:permissions:manage',
+      'coupon:manage:own',
+      'payment:refund:own',
+      'payment:cancel:own',
+      'receipt:view:own',
+      'receipt:reissue:own',
+      'payout:view:own',
+      'payout:approve:own',
+      'report:view:own',
+      'lockout:manage',
+      'apikey:manage'
+    ]
+  },
+  SUB_ADMIN: {
+    description: 'Default role of sub-admins',
+    permissions: [
+      'quiz:view',
+      'user:view',
+      'user:delete',
+      'subadmin:view',
+      'report:view:own'
+    ]
+  }
+};
+
+export const isSystemRole = (name) => Object.hasOwn(SYSTEM_ROLES, name);
+
+export const isKnownPermission = (permission) => Object.hasOwn(PERMISSIONS, permission);
+
+// Super admins keep every permission no matter what is stored
+export const getRolePermissions = async (name) => {
+  if (name === 'SUPER_ADMIN') return SYSTEM_ROLES.SUPER_ADMIN.permissions;
+
+  const role = await prisma.roleDefinition.findUnique({ where: { name } });
+  if (role) return role.permissions;
+
+  return SYSTEM_ROLES[name]?.permissions ?? [];
+};
+
+export const hasPermission = (permissions, permission) => {
+  if (permissions.has(ALL_PERMISSIONS) || permissions.has(permission)) return true;
+  if (permission.endsWith(':own')) return permissions.has(permission.replace(/:own$/, ':any'));
+  return false;
+};
+
+/**
+ * Work out what an admin or sub-admin from an access token may do.
+ * Resolves to { permissions: Set, ownerAdminId } where ownerAdminId is the admin whose quizzes count as "own",
+ * or to null when the account no longer exists.
+ */
+export const resolvePermissions = async ({ id, role }) => {
+  if (role === 'ADMIN') {
+    const admin = await prisma.admin.findUnique({ where: { id } });
+    if (!admin) return null;
+
+    return {
+      permissions: new Set(await getRolePermissions(admin.isSuper ? 'SUPER_ADMIN' : 'ADMIN')),
+      ownerAdminId: admin.id
+    };
+  }
+
+  if (role === 'SUB_ADMIN') {
+    const subAdmin = await prisma.subAdmin.findUnique({ where: { id } });
+    if (!subAdmin) return null;
+
+    const permissions = new Set([
+      ...await getRolePermissions(subAdmin.roleName ?? 'SUB_ADMIN'),
+      ...subAdmin.grantedPermissions
+    ]);
+    subAdmin.deniedPermissions.forEach(permission => permissions.delete(permission));
+
+    return { permissions, ownerAdminId: subAdmin.adminId };
+  }
+
+  return null;
+};
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Checkouts live in memory only, this provider is meant for local development and tests
+const checkouts = new Map();
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET;
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const EVENT_STATUS = {
+  'payment.completed': 'COMPLETED',
+  'payment.failed': 'FAILED'
+};
+
+const sign = (rawBody) => {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+};
+
+const mockProvider = {
+  name: 'mock',
+
+  async createCheckout({ paymentId, amount, currency }) {
+    const providerPaymentId = `mock_${crypto.randomUUID()}`;
+
+    checkouts.set(providerPaymentId, {
+      paymentId,
+      amount,
+      currency,
+      status: 'PENDING'
+    });
+
+    return {
+      providerPaymentId,
+      checkoutUrl: `${process.env.BACKEND_URL}/api/v1/payment/mock/${providerPaymentId}`
+    };
+  },
+
+  async getPaymentStatus(providerPaymentId) {
+    return checkouts.get(providerPaymentId)?.status ?? 'PENDING';
+  },
+
+  // Simulates the customer finishing (or abandoning) the hosted checkout page
+  async setPaymentStatus(providerPaymentId, status) {
+    const checkout = checkouts.get(providerPaymentId);
+
+    if (!checkout) {
+      return null;
+    }
+
+    checkout.status = status;
+    return checkout;
+  },
+
+  async refundPayment({ providerPaymentId, amount }) {
+    const checkout = checkouts.get(providerPaymentId);
+
+    if (checkout) {
+      checkout.refundedAmount = (checkout.refundedAmount ?? 0) + amount;
+    }
+
+    return { providerRefundId: `mock_refund_${crypto.randomUUID()}` };
+  },
+
+  async cancelCheckout(providerPaymentId) {
+    const checkout = checkouts.get(providerPaymentId);
+
+    if (checkout && checkout.status === 'PENDING') {
+      checkout.status = 'CANCELLED';
+    }
+  },
+
+  // Verifies the HMAC of the raw request body and normalises the event, returns null when the signature is wrong
+  parseWebhook(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+
+    if (!WEBHOOK_SECRET || !rawBody || typeof signature !== 'string') {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(rawBody), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+
+    return {
+      id: event.id,
+      type: event.type,
+      providerPaymentId: event.data?.providerPaymentId,
+      status: EVENT_STATUS[event.type] ?? null
+    };
+  },
+
+  // The event the gateway would send once the checkout is finished, already verified and normalised
+  createEvent(providerPaymentId, status) {
+    return {
+      id: `evt_${crypto.randomUUID()}`,
+      type: Object.keys(EVENT_STATUS).find(key => EVENT_STATUS[key] === status),
+      providerPaymentId,
+      status
+    };
+  }
+};
+
+export default mockProvider;
@@ -0,0 +1,287 @@
+export const QUESTION_TYPES = ['SINGLE_CHOICE', 'MULTIPLE_CHOICE', 'TRUE_FALSE', 'NUMERIC', 'SHORT_TEXT'];
+
+const CHOICE_TYPES = ['SINGLE_CHOICE', 'MULTIPLE_CHOICE', 'TRUE_FALSE'];
+
+// Short text answers match regardless of case, accents, surrounding spaces and repeated spaces
+export const normalizeText = (value) => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const parseChoiceOptions = (question, index) => {
+  const { type, options, correctAnswer, correctAnswers } = question;
+
+  if (!Array.isArray(options) || options.length < 2) {
+    return { error: `Question ${index + 1} needs at least two options` };
+  }
+
+  if (options.some(option => typeof option?.text !== 'string' || !option.text.trim())) {
+    return { error: `Every option of question ${index + 1} needs a text` };
+  }
+
+  // Correct options can be flagged on the options, or named by text like before question types existed
+  const correctTexts = type === 'MULTIPLE_CHOICE' ? correctAnswers : [correctAnswer];
+  const flagged = options.some(option => option.isCorrect === true);
+
+  const parsedOptions = options.map(option => ({
+    text: option.text,
+    isCorrect: flagged ? option.isCorrect === true : Array.isArray(correctTexts) && correctTexts.includes(option.text)
+  }));
+
+  const correctCount = parsedOptions.filter(option => option.isCorrect).length;
+
+  if (type === 'SINGLE_CHOICE' && correctCount !== 1) {
+    return { error: `Question ${index + 1} needs exactly one correct option` };
+  }
+
+  if (type === 'MULTIPLE_CHOICE' && correctCount === 0) {
+    return { error: `Question ${index + 1} needs at least one correct option` };
+  }
+
+  return { options: parsedOptions };
+};
+
+/**
+ * Validate one question from a create or update request and turn it into nested create data for Prisma.
+ * Returns { data } or { error }.
+ */
+export const parseQuestion = (question, index) => {
+  if (question === null || typeof question !== 'object' || Array.isArray(question)) {
+    return { error: `Question ${index + 1} must be an object` };
+  }
+
+  const type = question.type ?? 'SINGLE_CHOICE';
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `Question ${index + 1} has an unknown type, use one of ${QUESTION_TYPES.join(', ')}` };
+  }
+
+  if (typeof question.text !== 'string' || !question.text.trim()) {
+    return { error: `Question ${index + 1} needs a text` };
+  }
+
+  const points = Number(question.points ?? 1);
+  if (!Number.isFinite(points) || points <= 0) {
+    return { error: `The points of question ${index + 1} must be more than zero` };
+  }
+
+  const data = { text: question.text, type, points };
+
+  if (type === 'TRUE_FALSE') {
+    if (typeof question.correctAnswer !== 'boolean') {
+      return { error: `Question ${index + 1} needs correctAnswer set to true or false` };
+    }
+
+    data.options = {
+      create: [
+        { text: 'True', isCorrect: question.correctAnswer },
+        { text: 'False', isCorrect: !question.correctAnswer }
+      ]
+    };
+  } else if (CHOICE_TYPES.includes(type)) {
+    const { options, error } = parseChoiceOptions({ ...question, type }, index);
+    if (error) return { error };
+
+    data.options = { create: options };
+  } else if (type === 'NUMERIC') {
+    const answer = Number(question.correctAnswer);
+    const tolerance = Number(question.tolerance ?? 0);
+
+    if (question.correctAnswer === null || question.correctAnswer === '' || !Number.isFinite(answer)) {
+      return { error: `Question ${index + 1} needs a numeric correctAnswer` };
+    }
+
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      return { error: `The tolerance of question ${index + 1} must be zero or more` };
+    }
+
+    data.numericAnswer = answer;
+    data.tolerance = tolerance;
+  } else {
+    const accepted = question.acceptedAnswers ?? [question.correctAnswer];
+
+    if (!Array.isArray(accepted) || accepted.length === 0 || accepted.some(answer => !normalizeText(answer))) {
+      return { error: `Question ${index + 1} needs at least one accepted answer` };
+    }
+
+    data.acceptedAnswers = accepted.map(answer => String(answer).trim());
+  }
+
+  return { data };
+};
+
+export const parseQuestions = (questions) => {
+  const parsed = [];
+
+  for (const [index, question] of questions.entries()) {
+    const { data, error } = parseQuestion(question, index);
+    if (error) return { error };
+    parsed.push(data);
+  }
+
+  return { questions: parsed };
+};
+
+/**
+ * Validate the per-quiz scoring rules. negativeMarking is the share of a question's points taken off for a wrong
+ * answer, e.g. 0.25 deducts a quarter. Only the fields that were sent are returned, as { data } or { error }.
+ */
+export const parseScoringSettings = ({ partialCredit, negativeMarking }) => {
+  const data = {};
+
+  if (partialCredit !== undefined) {
+    if (typeof partialCredit !== 'boolean') return { error: 'partialCredit must be true or false' };
+    data.partialCredit = partialCredit;
+  }
+
+  if (negativeMarking !== undefined) {
+    const penalty = Number(negativeMarking);
+    if (negativeMarking === null || !Number.isFinite(penalty) || penalty < 0 || penalty > 1) {
+      return { error: 'negativeMarking must be between 0 and 1' };
+    }
+    data.negativeMarking = penalty;
+  }
+
+  return { data };
+};
+
+export const roundScore = (score) => Math.round(score * 100) / 100;
+
+export const maxScore = (questions) => roundScore(questions.reduce((sum, question) => sum + question.points, 0));
+
+// Questions created before types existed stored the correct option's ID or text instead of flagging it
+const correctOptionIds = (question) => {
+  const flagged = question.options.filter(option => option.isCorrect);
+  if (flagged.length > 0 || !question.correctAnswer) return flagged.map(option => option.id);
+
+  return question.options
+    .filter(option => option.id === question.correctAnswer || option.text === question.correctAnswer)
+    .slice(0, 1)
+    .map(option => option.id);
+};
+
+// What the client sees when taking the quiz, nothing that gives the answer away
+export const toPublicQuestion = (question) => ({
+  id: question.id,
+  text: question.text,
+  type: question.type,
+  ...(CHOICE_TYPES.includes(question.type) && {
+    options: question.options.map(option => ({
+      id: option.id,
+      text: option.text
+    }))
+  })
+});
+
+export const describeCorrectAnswer = (question) => {
+  if (CHOICE_TYPES.includes(question.type)) return { optionIds: correctOptionIds(question) };
+  if (question.type === 'NUMERIC') return { value: question.numericAnswer, tolerance: question.tolerance };
+  return { acceptedAnswers: question.acceptedAnswers };
+};
+
+/**
+ * Keep only the part of a submitted answer that fits the question type, so what is saved is exactly what gets graded.
+ * Returns { answer } or { error } when it names options the question does not have.
+ */
+export const parseAnswer = (question, input) => {
+  const optionIds = new Set(question.options.map(option => option.id));
+
+  if (question.type === 'MULTIPLE_CHOICE') {
+    const chosen = input?.optionIds ?? [];
+    if (!Array.isArray(chosen) || chosen.some(id => !optionIds.has(id))) {
+      return { error: 'optionIds must list options of this question' };
+    }
+    return { answer: { optionIds: [...new Set(chosen)] } };
+  }
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    const optionId = input?.optionId ?? input?.answerId ?? null;
+    if (optionId !== null && !optionIds.has(optionId)) {
+      return { error: 'optionId must be an option of this question' };
+    }
+    return { answer: { optionId } };
+  }
+
+  const value = input?.value ?? null;
+  if (value !== null && !['string', 'number'].includes(typeof value)) {
+    return { error: 'value must be a string or a number' };
+  }
+
+  return { answer: { value } };
+};
+
+export const isAnswered = (question, answer) => {
+  if (question.type === 'MULTIPLE_CHOICE') return Array.isArray(answer.optionIds) && answer.optionIds.length > 0;
+  if (CHOICE_TYPES.includes(question.type)) return Boolean(answer.optionId ?? answer.answerId);
+  return answer.value !== null && answer.value !== undefined && String(answer.value).trim() !== '';
+};
+
+// Each right option chosen earns its share of the points and each wrong one takes a share back, never below zero
+const partialMultipleChoiceCredit = (question, answer) => {
+  const correct = new Set(correctOptionIds(question));
+  const chosen = new Set(answer.optionIds);
+  const validIds = new Set(question.options.map(option => option.id));
+
+  let hits = 0;
+  let misses = 0;
+  chosen.forEach(id => {
+    if (correct.has(id)) hits += 1;
+    else if (validIds.has(id)) misses += 1;
+  });
+
+  return Math.max(0, (hits - misses) / correct.size);
+};
+
+/**
+ * Score one submitted answer under the quiz's rules.
+ * Returns { correct, points } where points can be negative when the quiz uses negative marking.
+ * Unanswered questions never lose points.
+ */
+export const scoreAnswer = (question, answer, { partialCredit = false, negativeMarking = 0 } = {}) => {
+  if (isAnswerCorrect(question, answer)) {
+    return { correct: true, points: question.points };
+  }
+
+  if (!isAnswered(question, answer)) {
+    return { correct: false, points: 0 };
+  }
+
+  if (partialCredit && question.type === 'MULTIPLE_CHOICE') {
+    const credit = partialMultipleChoiceCredit(question, answer);
+    if (credit > 0) return { correct: false, points: roundScore(question.points * credit) };
+  }
+
+  return { correct: false, points: negativeMarking > 0 ? roundScore(-question.points * negativeMarking) : 0 };
+};
+
+/**
+ * Check one submitted answer. Choice questions take { optionId } ({ answerId } is still accepted) or
+ * { optionIds } for multiple choice, numeric and short text questions take { value }.
+ */
+export const isAnswerCorrect = (question, answer) => {
+  if (question.type === 'MULTIPLE_CHOICE') {
+    if (!Array.isArray(answer.optionIds)) return false;
+
+    const chosen = new Set(answer.optionIds);
+    const correct = correctOptionIds(question);
+    return chosen.size === correct.length && correct.every(id => chosen.has(id));
+  }
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    const optionId = answer.optionId ?? answer.answerId;
+    return correctOptionIds(question).includes(optionId);
+  }
+
+  if (question.type === 'NUMERIC') {
+    if (answer.value === null || answer.value === undefined || answer.value === '') return false;
+
+    // The small margin keeps floating point noise such as 0.1 + 0.2 from failing exact answers
+    const value = Number(answer.value);
+    return Number.isFinite(value) && Math.abs(value - question.numericAnswer) <= question.tolerance + 1e-9;
+  }
+
+  const value = normalizeText(answer.value);
+  return Boolean(value) && question.acceptedAnswers.some(accepted => normalizeText(accepted) === value);
+};
@@ -0,0 +1,236 @@
+import PDFDocument from 'pdfkit';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const RECEIPT_COUNTER = 'receipt';
+const RECEIPT_PREFIX = 'INV';
+
+export const formatReceiptNumber = (number) => `${RECEIPT_PREFIX}-${String(number).padStart(6, '0')}`;
+
+// Receipts are only ever issued for money that actually came in
+const RECEIPTABLE_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+const receiptInclude = {
+  payment: {
+    select: {
+      id: true,
+      status: true,
+      refundedAmount: true,
+      quizId: true
+    }
+  }
+};
+
+// Takes the next number inside the caller's transaction, so a rolled back receipt never burns a number
+const nextReceiptNumber = async (tx) => {
+  const counter = await tx.counter.upsert({
+    where: { name: RECEIPT_COUNTER },
+    create: { name: RECEIPT_COUNTER, value: 1 },
+    update: { value: { increment: 1 } }
+  });
+
+  return counter.value;
+};
+
+// activePaymentId is unique and only set while the receipt is not voided, so a payment can never have two current receipts
+const createReceipt = async (tx, payment, paidAt = payment.completedAt ?? payment.updatedAt) => {
+  return tx.receipt.create({
+    data: {
+      number: await nextReceiptNumber(tx),
+      paymentId: payment.id,
+      activePaymentId: payment.id,
+      customerName: payment.user.name,
+      customerEmail: payment.user.email,
+      quizTitle: payment.quiz?.title ?? 'Deleted quiz',
+      currency: payment.currency,
+      originalAmount: payment.originalAmount ?? payment.amount,
+      discountAmount: payment.discountAmount,
+      amount: payment.amount,
+      couponCode: payment.coupon?.code ?? null,
+      paidAt
+    },
+    include: receiptInclude
+  });
+};
+
+const findPaymentForReceipt = (tx, paymentId) => {
+  return tx.payment.findUnique({
+    where: { id: paymentId },
+    include: {
+      user: { select: { name: true, email: true } },
+      quiz: { select: { title: true } },
+      coupon: { select: { code: true } }
+    }
+  });
+};
+
+const createCurrentReceipt = async (paymentId) => {
+  return prisma.$transaction(async (tx) => {
+    const existingReceipt = await tx.receipt.findFirst({
+      where: { paymentId, voidedAt: null },
+      include: receiptInclude
+    });
+
+    if (existingReceipt) {
+      return existingReceipt;
+    }
+
+    const payment = await findPaymentForReceipt(tx, paymentId);
+
+    if (!payment || !RECEIPTABLE_STATUSES.includes(payment.status)) {
+      return null;
+    }
+
+    return createReceipt(tx, payment);
+  });
+};
+
+/**
+ * Return the current receipt of a payment, issuing one first if the payment is paid but has none yet.
+ * Safe to call any number of times. Resolves to null when the payment cannot have a receipt.
+ */
+export const issueReceipt = async (paymentId) => {
+  try {
+    return await createCurrentReceipt(paymentId);
+  } catch (error) {
+    // A webhook and a download raced each other, the other one issued the receipt and its number
+    if (error.code === 'P2002') {
+      return prisma.receipt.findFirst({
+        where: { paymentId, voidedAt: null },
+        include: receiptInclude
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Void a receipt and issue a replacement with a fresh number and up to date customer details.
+ * Resolves to null when the receipt does not exist or was already voided.
+ */
+export const reissueReceipt = async (receiptId) => {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.receipt.updateMany({
+      where: { id: receiptId, voidedAt: null },
+      data: { voidedAt: new Date(), activePaymentId: null }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const { paymentId, paidAt } = await tx.receipt.findUnique({ where: { id: receiptId } });
+    const payment = await findPaymentForReceipt(tx, paymentId);
+
+    // The replacement changes who it is billed to, never when the money came in
+    return createReceipt(tx, payment, paidAt);
+  });
+};
+
+// Issue receipts without failing the caller, a missing receipt is issued again on first download
+export const issueReceiptSafely = async (paymentId) => {
+  try {
+    return await issueReceipt(paymentId);
+  } catch (error) {
+    console.error('Error issuing receipt:', error);
+    return null;
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency) => `${currency} ${amount.toFixed(2)}`;
+
+const receiptLines = (receipt) => {
+  const lines = [
+    ['Receipt number', formatReceiptNumber(receipt.number)],
+    ['Issued on', receipt.createdAt.toISOString()],
+    ['Paid on', receipt.paidAt.toISOString()],
+    ['Billed to', `${receipt.customerName} <${receipt.customerEmail}>`],
+    ['Quiz', receipt.quizTitle],
+    ['Price', formatMoney(receipt.originalAmount, receipt.currency)]
+  ];
+
+  if (receipt.discountAmount > 0) {
+    const label = receipt.couponCode ? `Discount (${receipt.couponCode})` : 'Discount';
+    lines.push([label, `- ${formatMoney(receipt.discountAmount, receipt.currency)}`]);
+  }
+
+  lines.push(['Total paid', formatMoney(receipt.amount, receipt.currency)]);
+
+  if (receipt.payment?.refundedAmount > 0) {
+    lines.push(['Refunded', formatMoney(receipt.payment.refundedAmount, receipt.currency)]);
+  }
+
+  return lines;
+};
+
+export const renderReceiptHtml = (receipt) => {
+  const rows = receiptLines(receipt)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Receipt ${formatReceiptNumber(receipt.number)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; max-width: 640px; margin: 40px auto; color: #222; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; }
+      .void { color: #b00020; font-weight: bold; }
+    </style>
+  </head>
+  <body>
+    <h1>Payment receipt</h1>
+    ${receipt.voidedAt ? '<p class="void">This receipt has been voided and replaced.</p>' : ''}
+    <table>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+  </body>
+</html>`;
+};
+
+// Streams the PDF straight into a writable stream such as the express response
+export const renderReceiptPdf = (receipt, stream) => {
+  const doc = new PDFDocument({ margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(20).text('Payment receipt');
+  doc.moveDown();
+
+  if (receipt.voidedAt) {
+    doc.fillColor('#b00020').fontSize(12).text('This receipt has been voided and replaced.');
+    doc.fillColor('black').moveDown();
+  }
+
+  receiptLines(receipt).forEach(([label, value]) => {
+    doc.fontSize(12).font('Helvetica-Bold').text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(value);
+  });
+
+  doc.end();
+};
+
+export const sendReceipt = (res, receipt, format = 'html') => {
+  const filename = `${formatReceiptNumber(receipt.number)}.${format}`;
+
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return renderReceiptPdf(receipt, res);
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  return res.send(renderReceiptHtml(receipt));
+};
@@ -0,0 +1,25 @@
+/**
+ * Run a background job every intervalMs. Runs never overlap, and a failing run is logged and retried on the next tick.
+ */
+export const scheduleJob = (name, intervalMs, job) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Error running ${name} job:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Background jobs should never keep the process alive on their own
+  timer.unref();
+
+  return timer;
+};
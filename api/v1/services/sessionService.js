@@ -0,0 +1,219 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { createSecureToken, hashToken } from '../utils/secureToken.js';
+
+dotenv.config();
+
+const JWT_SECRET_KEY = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+const prisma = new PrismaClient();
+
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax'
+};
+
+// The refresh cookie is only sent to the API, where the refresh endpoints live
+const refreshCookieOptions = {
+  ...cookieOptions,
+  path: '/api/v1'
+};
+
+export const subjectModels = {
+  USER: prisma.user,
+  ADMIN: prisma.admin,
+  SUB_ADMIN: prisma.subAdmin
+};
+
+export const generateAccessToken = (subject, sessionId) => {
+  return jwt.sign(
+    { id: subject.id, email: subject.email, role: subject.role, name: subject.name, sid: sessionId },
+    JWT_SECRET_KEY,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const createRefreshToken = async (tx, sessionId) => {
+  const { token: refreshToken, tokenHash } = createSecureToken(48);
+
+  await tx.refreshToken.create({
+    data: {
+      sessionId,
+      tokenHash,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    }
+  });
+
+  return refreshToken;
+};
+
+const setSessionCookies = (res, accessToken, refreshToken) => {
+  res.cookie('token', accessToken, cookieOptions);
+  res.cookie('refreshToken', refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_MS
+  });
+};
+
+export const clearSessionCookies = (res) => {
+  res.clearCookie('token', cookieOptions);
+  res.clearCookie('refreshToken', refreshCookieOptions);
+};
+
+export const extractRefreshToken = (req) => req.body?.refreshToken ?? req.cookies?.refreshToken ?? null;
+
+// Clients that cannot use cookies ask for the tokens with { "returnTokens": true }, or refresh with a token from the body
+const wantsTokensInBody = (req) => req.body?.returnTokens === true || Boolean(req.body?.refreshToken);
+
+/**
+ * Extra response fields carrying the tokens, for clients that asked for them. Empty for cookie based clients.
+ */
+export const tokenResponse = (req, { accessToken, refreshToken }) => {
+  if (!wantsTokensInBody(req)) return {};
+
+  return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Start a new session for a logged in user, admin or sub-admin and set both cookies.
+ * The subject must carry its role, e.g. { ...admin, role: 'ADMIN' }.
+ */
+export const startSession = async (req, res, subject) => {
+  const { session, refreshToken } = await prisma.$transaction(async (tx) => {
+    const session = await tx.session.create({
+      data: {
+        subjectId: subject.id,
+        subjectType: subject.role,
+        userAgent: req.get('user-agent') ?? null,
+        ipAddress: req.ip ?? null,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+      }
+    });
+
+    return { session, refreshToken: await createRefreshToken(tx, session.id) };
+  });
+
+  const accessToken = generateAccessToken(subject, session.id);
+  setSessionCookies(res, accessToken, refreshToken);
+
+  return { session, accessToken, refreshToken };
+};
+
+export const revokeSession = (sessionId, reason) => {
+  return prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+export const revokeAllSessions = (subjectType, subjectId, reason) => {
+  return prisma.session.updateMany({
+    where: { subjectType, subjectId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+/**
+ * Swap a refresh token for a new access and refresh token pair.
+ * Every refresh token works once. Presenting one that was already used means it was copied,
+ * so the whole session is revoked and both the attacker and the victim have to log in again.
+ * Resolves to { success: true, subject, accessToken, refreshToken } or { success: false, message }.
+ */
+export const rotateRefreshToken = async (req, res, presentedToken) => {
+  if (!presentedToken) {
+    return { success: false, message: 'Refresh token missing' };
+  }
+
+  const storedToken = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(presentedToken) },
+    include: { session: true }
+  });
+
+  if (!storedToken) {
+    return { success: false, message: 'Invalid refresh token' };
+  }
+
+  const { session } = storedToken;
+
+  if (storedToken.usedAt) {
+    await revokeSession(session.id, 'refresh token reuse detected');
+    return { success: false, message: 'Refresh token reuse detected, please log in again' };
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date() || storedToken.expiresAt < new Date()) {
+    return { success: false, message: 'Session expired, please log in again' };
+  }
+
+  const subject = await subjectModels[session.subjectType].findUnique({ where: { id: session.subjectId } });
+
+  if (!subject) {
+    await revokeSession(session.id, 'account removed');
+    return { success: false, message: 'Account no longer exists' };
+  }
+
+  const refreshToken = await prisma.$transaction(async (tx) => {
+    // Mark the token used only if nobody beat us to it, two parallel refreshes count as reuse
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: storedToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    await tx.session.update({
+      where: { id: session.id },
+      data: { lastUsedAt: new Date() }
+    });
+
+    return createRefreshToken(tx, session.id);
+  });
+
+  if (!refreshToken) {
+    await revokeSession(session.id, 'refresh token reuse detected');
+    return { success: false, message: 'Refresh token reuse detected, please log in again' };
+  }
+
+  const sessionSubject = { ...subject, role: session.subjectType };
+  const accessToken = generateAccessToken(sessionSubject, session.id);
+  setSessionCookies(res, accessToken, refreshToken);
+
+  return { success: true, subject: sessionSubject, accessToken, refreshToken };
+};
+
+export const listActiveSessions = (subjectType, subjectId) => {
+  return prisma.session.findMany({
+    where: {
+      subjectType,
+      subjectId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true
+    },
+    orderBy: {
+      lastUsedAt: 'desc'
+    }
+  });
+};
+
+export const findActiveSession = (sessionId, subjectType, subjectId) => {
+  return prisma.session.findFirst({
+    where: {
+      id: sessionId,
+      subjectType,
+      subjectId,
+      revokedAt: null
+    }
+  });
+};
@@ -0,0 +1,21 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Application wide switches that super admins can flip at runtime
+export const SETTINGS = {
+  REQUIRE_SUB_ADMIN_TWO_FACTOR: 'requireSubAdminTwoFactor'
+};
+
+export const getBooleanSetting = async (key, defaultValue = false) => {
+  const setting = await prisma.setting.findUnique({ where: { key } });
+  return setting ? setting.value === 'true' : defaultValue;
+};
+
+export const setSetting = (key, value) => {
+  return prisma.setting.upsert({
+    where: { key },
+    create: { key, value: String(value) },
+    update: { value: String(value) }
+  });
+};
@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+import memoryStore from './throttleStores/memoryStore.js';
+
+dotenv.config();
+
+/**
+ * Rate limits and login lockouts keep their counters in a throttle store:
+ *
+ *  name                         unique store key
+ *  get(key)                     -> { count, resetTime } or undefined once the window has passed
+ *  increment(key, windowMs)     -> { count, resetTime }, starting a new window when there is none
+ *  decrement(key)
+ *  reset(key)
+ *  list(prefix)                 -> [{ key, count, resetTime }] for every live key with that prefix
+ *
+ * The active store is picked with THROTTLE_STORE (defaults to memory). Use a shared store such as Redis
+ * when running more than one instance.
+ */
+const stores = {
+  [memoryStore.name]: memoryStore
+};
+
+export const registerThrottleStore = (store) => {
+  stores[store.name] = store;
+};
+
+export const getThrottleStore = (name = process.env.THROTTLE_STORE || 'memory') => {
+  const store = stores[name];
+
+  if (!store) {
+    throw new Error(`Unknown throttle store: ${name}`);
+  }
+
+  return store;
+};
@@ -0,0 +1,53 @@
+// Counters live in this process only, so limits reset on restart and are not shared between instances
+const counters = new Map();
+
+const isExpired = (entry, now = Date.now()) => entry.resetTime.getTime() <= now;
+
+const sweep = () => {
+  const now = Date.now();
+  for (const [key, entry] of counters) {
+    if (isExpired(entry, now)) counters.delete(key);
+  }
+};
+
+const sweepTimer = setInterval(sweep, 60 * 1000);
+sweepTimer.unref();
+
+const memoryStore = {
+  name: 'memory',
+
+  async get(key) {
+    const entry = counters.get(key);
+    if (!entry || isExpired(entry)) return undefined;
+    return { ...entry };
+  },
+
+  async increment(key, windowMs) {
+    let entry = counters.get(key);
+
+    if (!entry || isExpired(entry)) {
+      entry = { count: 0, resetTime: new Date(Date.now() + windowMs) };
+      counters.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { ...entry };
+  },
+
+  async decrement(key) {
+    const entry = counters.get(key);
+    if (entry && entry.count > 0) entry.count -= 1;
+  },
+
+  async reset(key) {
+    counters.delete(key);
+  },
+
+  async list(prefix) {
+    return [...counters.entries()]
+      .filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry))
+      .map(([key, entry]) => ({ key, ...entry }));
+  }
+};
+
+export default memoryStore;
@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { createSecureToken, hashToken } from '../utils/secureToken.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { subjectModels } from './sessionService.js';
+import { SETTINGS, getBooleanSetting } from './settingsService.js';
+
+dotenv.config();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'AUCESS';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const prisma = new PrismaClient();
+
+const invalidChallenge = { success: false, status: 401, message: 'Invalid or expired login challenge' };
+
+// Ten random bytes per code, shown as two groups of hex so they are easy to type
+const generateRecoveryCode = () => crypto.randomBytes(10).toString('hex').replace(/^(.{10})/, '$1-');
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase().replace(/[^0-9a-f]/g, '').replace(/^(.{10})/, '$1-');
+
+const replaceRecoveryCodes = async (tx, subjectType, subjectId) => {
+  const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await tx.recoveryCode.deleteMany({ where: { subjectType, subjectId } });
+  await tx.recoveryCode.createMany({
+    data: recoveryCodes.map(code => ({ subjectType, subjectId, codeHash: hashToken(code) }))
+  });
+
+  return recoveryCodes;
+};
+
+export const isTwoFactorMandatory = async (subjectType) => {
+  return subjectType === 'SUB_ADMIN' && getBooleanSetting(SETTINGS.REQUIRE_SUB_ADMIN_TWO_FACTOR);
+};
+
+/**
+ * Sign out every sub-admin who has not enrolled, for when 2FA becomes mandatory. Only logins check the mandate,
+ * so without this their open sessions would keep being refreshed. Their next login asks them to set it up.
+ * Resolves to the number of sub-admins that were signed out.
+ */
+export const revokeUnenrolledSubAdminSessions = async () => {
+  const subAdmins = await prisma.subAdmin.findMany({
+    where: { twoFactorEnabled: false },
+    select: { id: true }
+  });
+
+  if (subAdmins.length === 0) return 0;
+
+  await prisma.session.updateMany({
+    where: {
+      subjectType: 'SUB_ADMIN',
+      subjectId: { in: subAdmins.map(subAdmin => subAdmin.id) },
+      revokedAt: null
+    },
+    data: { revokedAt: new Date(), revokedReason: 'two-factor authentication required' }
+  });
+
+  return subAdmins.length;
+};
+
+// A code only works once, so the last accepted time step is stored and older or equal steps are rejected
+const acceptTotp = async (subjectType, subject, code) => {
+  const step = verifyTotp(subject.twoFactorSecret, code);
+  if (step === null) return false;
+
+  const { count } = await subjectModels[subjectType].updateMany({
+    where: {
+      id: subject.id,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+    },
+    data: { twoFactorLastStep: step }
+  });
+
+  return count > 0;
+};
+
+const acceptRecoveryCode = async (subjectType, subject, recoveryCode) => {
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: {
+      subjectType,
+      subjectId: subject.id,
+      codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+      usedAt: null
+    },
+    data: { usedAt: new Date() }
+  });
+
+  return count > 0;
+};
+
+/**
+ * Check a second factor of an account with 2FA enabled, either a TOTP code or an unused recovery code.
+ */
+export const verifySecondFactor = async (subjectType, subject, { code, recoveryCode }) => {
+  if (!subject.twoFactorEnabled || !subject.twoFactorSecret) return false;
+
+  if (code) return acceptTotp(subjectType, subject, code);
+  if (recoveryCode) return acceptRecoveryCode(subjectType, subject, recoveryCode);
+
+  return false;
+};
+
+/**
+ * Start enrolling an account. The new secret is stored but only takes effect once a code from it is confirmed.
+ * Resolves to { success: true, secret, otpauthUri } or { success: false, status, message }.
+ */
+export const beginTwoFactorSetup = async (subjectType, subjectId) => {
+  const subject = await subjectModels[subjectType].findUnique({ where: { id: subjectId } });
+
+  if (!subject) {
+    return { success: false, status: 404, message: 'Account not found' };
+  }
+
+  if (subject.twoFactorEnabled) {
+    return { success: false, status: 409, message: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = generateTotpSecret();
+
+  await subjectModels[subjectType].update({
+    where: { id: subjectId },
+    data: { twoFactorSecret: secret, twoFactorLastStep: null }
+  });
+
+  return {
+    success: true,
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: subject.email, issuer: TOTP_ISSUER })
+  };
+};
+
+/**
+ * Finish enrolling with a code from the authenticator app. The recovery codes are only ever returned here.
+ * Resolves to { success: true, recoveryCodes } or { success: false, status, message }.
+ */
+export const confirmTwoFactorSetup = async (subjectType, subjectId, code) => {
+  const subject = await subjectModels[subjectType].findUnique({ where: { id: subjectId } });
+
+  if (!subject) {
+    return { success: false, status: 404, message: 'Account not found' };
+  }
+
+  if (subject.twoFactorEnabled) {
+    return { success: false, status: 409, message: 'Two-factor authentication is already enabled' };
+  }
+
+  if (!subject.twoFactorSecret) {
+    return { success: false, status: 400, message: 'Start the two-factor setup first' };
+  }
+
+  const step = verifyTotp(subject.twoFactorSecret, code);
+  if (step === null) {
+    return { success: false, status: 400, message: 'Invalid authentication code' };
+  }
+
+  const recoveryCodes = await prisma.$transaction(async (tx) => {
+    const model = { ADMIN: tx.admin, SUB_ADMIN: tx.subAdmin }[subjectType];
+
+    await model.update({
+      where: { id: subjectId },
+      data: { twoFactorEnabled: true, twoFactorLastStep: step }
+    });
+
+    return replaceRecoveryCodes(tx, subjectType, subjectId);
+  });
+
+  return { success: true, recoveryCodes };
+};
+
+export const disableTwoFactor = async (subjectType, subjectId, factor) => {
+  const subject = await subjectModels[subjectType].findUnique({ where: { id: subjectId } });
+
+  if (!subject?.twoFactorEnabled) {
+    return { success: false, status: 400, message: 'Two-factor authentication is not enabled' };
+  }
+
+  if (await isTwoFactorMandatory(subjectType)) {
+    return { success: false, status: 403, message: 'Two-factor authentication is mandatory for sub-admins' };
+  }
+
+  if (!await verifySecondFactor(subjectType, subject, factor)) {
+    return { success: false, status: 400, message: 'Invalid authentication code' };
+  }
+
+  await prisma.$transaction([
+    subjectModels[subjectType].update({
+      where: { id: subjectId },
+      data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null }
+    }),
+    prisma.recoveryCode.deleteMany({ where: { subjectType, subjectId } })
+  ]);
+
+  return { success: true };
+};
+
+export const regenerateRecoveryCodes = async (subjectType, subjectId, code) => {
+  const subject = await subjectModels[subjectType].findUnique({ where: { id: subjectId } });
+
+  if (!subject?.twoFactorEnabled) {
+    return { success: false, status: 400, message: 'Two-factor authentication is not enabled' };
+  }
+
+  if (!await verifySecondFactor(subjectType, subject, { code })) {
+    return { success: false, status: 400, message: 'Invalid authentication code' };
+  }
+
+  const recoveryCodes = await prisma.$transaction(tx => replaceRecoveryCodes(tx, subjectType, subjectId));
+
+  return { success: true, recoveryCodes };
+};
+
+/**
+ * Decide what happens after a correct password. Resolves to { required: false } when a session can be started,
+ * otherwise to { required: true, purpose, challengeToken } where purpose is LOGIN (enter a code)
+ * or SETUP (2FA is mandatory but the account has not enrolled yet).
+ */
+export const checkTwoFactor = async (subjectType, subject) => {
+  let purpose = null;
+
+  if (subject.twoFactorEnabled) {
+    purpose = 'LOGIN';
+  } else if (await isTwoFactorMandatory(subjectType)) {
+    purpose = 'SETUP';
+  }
+
+  if (!purpose) {
+    return { required: false };
+  }
+
+  const { token, tokenHash } = createSecureToken();
+
+  await prisma.twoFactorChallenge.create({
+    data: {
+      subjectType,
+      subjectId: subject.id,
+      purpose,
+      tokenHash,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000)
+    }
+  });
+
+  return { required: true, purpose, challengeToken: token };
+};
+
+const findChallenge = async (challengeToken, purpose) => {
+  if (!challengeToken) return null;
+
+  const challenge = await prisma.twoFactorChallenge.findUnique({ where: { tokenHash: hashToken(challengeToken) } });
+
+  if (
+    !challenge ||
+    challenge.purpose !== purpose ||
+    challenge.usedAt ||
+    challenge.expiresAt < new Date() ||
+    challenge.attempts >= MAX_CHALLENGE_ATTEMPTS
+  ) {
+    return null;
+  }
+
+  return challenge;
+};
+
+const consumeChallenge = async (challenge) => {
+  const { count } = await prisma.twoFactorChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  return count > 0;
+};
+
+const recordFailedAttempt = (challenge) => {
+  return prisma.twoFactorChallenge.update({
+    where: { id: challenge.id },
+    data: { attempts: { increment: 1 } }
+  });
+};
+
+/**
+ * Second login step. Resolves to { success: true, subject } ready for startSession,
+ * or { success: false, status, message }.
+ */
+export const completeLoginChallenge = async (challengeToken, factor) => {
+  const challenge = await findChallenge(challengeToken, 'LOGIN');
+  if (!challenge) return invalidChallenge;
+
+  const subject = await subjectModels[challenge.subjectType].findUnique({ where: { id: challenge.subjectId } });
+  if (!subject) return invalidChallenge;
+
+  if (!await verifySecondFactor(challenge.subjectType, subject, factor)) {
+    await recordFailedAttempt(challenge);
+    return { success: false, status: 401, message: 'Invalid authentication code' };
+  }
+
+  if (!await consumeChallenge(challenge)) return invalidChallenge;
+
+  return { success: true, subject };
+};
+
+// Enrollment during login, for sub-admins that have to set up 2FA before they get a session
+export const beginChallengeSetup = async (challengeToken) => {
+  const challenge = await findChallenge(challengeToken, 'SETUP');
+  if (!challenge) return invalidChallenge;
+
+  return beginTwoFactorSetup(challenge.subjectType, challenge.subjectId);
+};
+
+export const confirmChallengeSetup = async (challengeToken, code) => {
+  const challenge = await findChallenge(challengeToken, 'SETUP');
+  if (!challenge) return invalidChallenge;
+
+  const result = await confirmTwoFactorSetup(challenge.subjectType, challenge.subjectId, code);
+
+  if (!result.success) {
+    await recordFailedAttempt(challenge);
+    return result;
+  }
+
+  await consumeChallenge(challenge);
+
+  const subject = await subjectModels[challenge.subjectType].findUnique({ where: { id: challenge.subjectId } });
+
+  return { success: true, recoveryCodes: result.recoveryCodes, subject };
+};
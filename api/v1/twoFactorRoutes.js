@@ -0,0 +1,197 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import authenticate from './middleware/authenticate.js';
+import { loginLimiter } from './middleware/rateLimiters.js';
+import { startSession, tokenResponse } from './services/sessionService.js';
+import {
+  isTwoFactorMandatory,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  completeLoginChallenge,
+  beginChallengeSetup,
+  confirmChallengeSetup
+} from './services/twoFactorService.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Second Login Step (Admin + Sub-admin)
+router.post('/login', loginLimiter, async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    const result = await completeLoginChallenge(challengeToken, { code, recoveryCode });
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    const session = await startSession(req, res, result.subject);
+
+    return res.status(200).json({ message: 'Login successful', ...tokenResponse(req, session), success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Start Mandatory Enrollment During Login (Sub-admin)
+router.post('/enroll', async (req, res) => {
+  try {
+    const result = await beginChallengeSetup(req.body.challengeToken);
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret: result.secret,
+      otpauthUri: result.otpauthUri,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Confirm Mandatory Enrollment And Log In (Sub-admin)
+router.post('/enroll/confirm', loginLimiter, async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  try {
+    const result = await confirmChallengeSetup(challengeToken, code);
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    const session = await startSession(req, res, result.subject);
+
+    return res.status(200).json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe, they are only shown once',
+      recoveryCodes: result.recoveryCodes,
+      ...tokenResponse(req, session),
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Two-Factor Status (Admin + Sub-admin)
+router.get('/', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  const { role, id } = req.user;
+
+  try {
+    const subject = role === 'ADMIN'
+      ? await prisma.admin.findUnique({ where: { id } })
+      : await prisma.subAdmin.findUnique({ where: { id } });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Account not found', success: false });
+    }
+
+    const recoveryCodesRemaining = await prisma.recoveryCode.count({
+      where: { subjectType: role, subjectId: id, usedAt: null }
+    });
+
+    return res.status(200).json({
+      message: 'Two-factor status fetched successfully',
+      twoFactor: {
+        enabled: subject.twoFactorEnabled,
+        mandatory: await isTwoFactorMandatory(role),
+        recoveryCodesRemaining
+      },
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Start Enrollment (Admin + Sub-admin)
+router.post('/setup', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  try {
+    const result = await beginTwoFactorSetup(req.user.role, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret: result.secret,
+      otpauthUri: result.otpauthUri,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Confirm Enrollment (Admin + Sub-admin)
+router.post('/confirm', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  try {
+    const result = await confirmTwoFactorSetup(req.user.role, req.user.id, req.body.code);
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe, they are only shown once',
+      recoveryCodes: result.recoveryCodes,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Disable Two-Factor (Admin + Sub-admin)
+router.post('/disable', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  try {
+    const result = await disableTwoFactor(req.user.role, req.user.id, { code, recoveryCode });
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({ message: 'Two-factor authentication disabled', success: true });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+// Regenerate Recovery Codes (Admin + Sub-admin)
+router.post('/recovery-codes', authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+  try {
+    const result = await regenerateRecoveryCodes(req.user.role, req.user.id, req.body.code);
+
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, success: false });
+    }
+
+    return res.status(200).json({
+      message: 'New recovery codes generated, the old ones no longer work',
+      recoveryCodes: result.recoveryCodes,
+      success: true
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Internal server error', success: false });
+  }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import authMiddleware from './middleware/authMiddleware.js'
 import authenticate from './middleware/authenticate.js';
+import requirePermission from './middleware/requirePermission.js';
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -9,9 +9,9 @@ const router = express.Router();
 /**
  * @route GET /api/users
  * @desc Get all users
- * @access Private (Admin and SubAdmin only)
+ * @access Private (Admins and sub-admins with user:view)
  */
-router.get('/', authMiddleware, authenticate(['ADMIN', 'SUB_ADMIN']), async (req, res) => {
+router.get('/', requirePermission('user:view'), async (req, res) => {
     try {
         const users = await prisma.user.findMany({
             select: {
@@ -57,7 +57,7 @@ router.get('/', authMiddleware, authenticate(['ADMIN', 'SUB_ADMIN']), async (req
  * @desc Get user by ID
  * @access Private (User can access own data, Admin/SubAdmin can access any)
  */
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authenticate(['USER', 'ADMIN', 'SUB_ADMIN'], 'user:view'), async (req, res) => {
     try {
         const { id } = req.params;
 
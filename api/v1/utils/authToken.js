@@ -0,0 +1,39 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const JWT_SECRET_KEY = process.env.JWT_SECRET;
+
+// API and mobile clients send "Authorization: Bearer <token>", browsers the token cookie. The header wins
+export const extractAccessToken = (req) => {
+  const header = req.get('authorization');
+
+  if (header) {
+    const [scheme, token] = header.split(' ');
+    if (scheme?.toLowerCase() === 'bearer' && token) return token.trim();
+  }
+
+  return req.cookies?.token ?? null;
+};
+
+/**
+ * Check the access token of a request.
+ * Returns { user } with the decoded payload, or { status, message } ready to send back.
+ */
+export const verifyRequestToken = (req) => {
+  const token = extractAccessToken(req);
+
+  if (!token) {
+    return { status: 401, message: 'Unauthorized' };
+  }
+
+  try {
+    return { user: jwt.verify(token, JWT_SECRET_KEY) };
+  } catch (err) {
+    return {
+      status: 401,
+      message: err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+    };
+  }
+};
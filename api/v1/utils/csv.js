@@ -0,0 +1,34 @@
+// Values starting with these characters are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let cell = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  if (/[",\n\r]/.test(cell)) {
+    cell = `"${cell.replace(/"/g, '""')}"`;
+  }
+
+  return cell;
+};
+
+/**
+ * Build a CSV document from a list of { key, label } columns and plain row objects.
+ */
+export const toCsv = (columns, rows) => {
+  const header = columns.map(column => escapeCell(column.label)).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','));
+
+  return [header, ...lines].join('\r\n');
+};
+
+export const sendCsv = (res, filename, columns, rows) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.attachment(filename);
+  return res.send(toCsv(columns, rows));
+};
@@ -0,0 +1,9 @@
+import crypto from 'crypto';
+
+// Tokens are long random secrets, so a fast hash is enough and lets us look them up directly
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const createSecureToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
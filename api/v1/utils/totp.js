@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+// RFC 6238 time based one-time passwords, compatible with Google Authenticator and friends
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentTimeStep = (now = Date.now()) => Math.floor(now / 1000 / TIME_STEP_SECONDS);
+
+export const generateTotp = (secret, step = currentTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours to allow for clock drift.
+ * Returns the matching time step, or null. Callers store the step so a code cannot be replayed.
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalizedCode = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== CODE_DIGITS) return null;
+
+  const now = currentTimeStep();
+
+  for (let step = now - window; step <= now + window; step += 1) {
+    const expected = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalizedCode))) return step;
+  }
+
+  return null;
+};
+
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -4,26 +4,46 @@ import quizRoutes from './api/v1/quizroutes.js'
 import paymentRoutes from './api/v1/payymentroutes.js'
 import adminRoutes from './api/v1/adminRoutes.js'
 import userRoutes from './api/v1/userRoutes.js'
+import reportRoutes from './api/v1/reportRoutes.js'
+import twoFactorRoutes from './api/v1/twoFactorRoutes.js'
+import roleRoutes from './api/v1/roleRoutes.js'
+import apiKeyRoutes from './api/v1/apiKeyRoutes.js'
 import passport from "./api/v1/config/passportConfig.js";
+import { scheduleJob } from "./api/v1/services/scheduler.js";
+import { assertPaymentProviderConfigured } from "./api/v1/services/paymentProvider.js";
+import { settleEndedQuizzes } from "./api/v1/services/payoutService.js";
+import { anonymizeDueAccounts } from "./api/v1/services/accountService.js";
+import { expireStaleCheckouts } from "./api/v1/services/paymentService.js";
 import cors from "cors";
 import helmet from "helmet";
 import cookieParser from "cookie-parser";
 
+assertPaymentProviderConfigured();
+
 const app = express();
 
 const corsOptions = {
   origin: ["http://localhost:3001", "*"],
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 };
 
-app.use(express.json());
+// Keep the raw body around, payment webhooks are signed over the exact bytes we received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cookieParser());
 app.use(helmet());
 app.use(cors(corsOptions));
 app.use(passport.initialize());
 app.use("/api/v1/auth" , authRoutes);
+app.use("/api/v1/admin/reports", reportRoutes);
+app.use("/api/v1/admin/2fa", twoFactorRoutes);
+app.use("/api/v1/admin/roles", roleRoutes);
+app.use("/api/v1/admin/api-keys", apiKeyRoutes);
 app.use("/api/v1/admin" , adminRoutes);
 app.use("/api/v1/quiz", quizRoutes);
 app.use("/api/v1/payment", paymentRoutes);
@@ -32,4 +52,8 @@ app.use("/api/v1/users", userRoutes);
 
 app.listen(3000, () => {
   console.log("Server started");
-})
\ No newline at end of file
+})
+
+scheduleJob("prize settlement", Number(process.env.PRIZE_SETTLEMENT_INTERVAL_MS) || 5 * 60 * 1000, settleEndedQuizzes);
+scheduleJob("account deletion", Number(process.env.ACCOUNT_DELETION_INTERVAL_MS) || 60 * 60 * 1000, anonymizeDueAccounts);
+scheduleJob("checkout expiry", Number(process.env.CHECKOUT_EXPIRY_INTERVAL_MS) || 5 * 60 * 1000, expireStaleCheckouts);
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Creates the first super admin, every other admin and sub-admin joins through an invitation.
+// Usage: npm run create-super-admin -- --email admin@example.com --name "Jane Doe"
+// The password is read from SUPER_ADMIN_PASSWORD or asked for interactively.
+import readline from 'readline/promises';
+import dotenv from 'dotenv';
+import { hash } from 'bcryptjs';
+import { PrismaClient } from '@prisma/client';
+import { MIN_PASSWORD_LENGTH } from '../api/v1/services/credentialService.js';
+
+dotenv.config();
+
+const SALT_ROUNDS = 12;
+const prisma = new PrismaClient();
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const askPassword = async () => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    return await rl.question('Password: ');
+  } finally {
+    rl.close();
+  }
+};
+
+const main = async () => {
+  // Stored as typed, logins compare emails exactly
+  const email = readOption('email')?.trim();
+  const name = readOption('name')?.trim();
+
+  if (!email || !name) {
+    throw new Error('Usage: create-super-admin --email <email> --name <name>');
+  }
+
+  const existingSuperAdmin = await prisma.admin.findFirst({ where: { isSuper: true } });
+  if (existingSuperAdmin) {
+    throw new Error('A super admin already exists, invite further admins from the admin panel instead');
+  }
+
+  const existingAccount = await prisma.admin.findUnique({ where: { email } })
+    ?? await prisma.subAdmin.findUnique({ where: { email } });
+  if (existingAccount) {
+    throw new Error('An admin or sub-admin with this email already exists');
+  }
+
+  const password = process.env.SUPER_ADMIN_PASSWORD || await askPassword();
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  const admin = await prisma.admin.create({
+    data: {
+      email,
+      name,
+      password: await hash(password, SALT_ROUNDS),
+      isSuper: true
+    }
+  });
+
+  console.log(`Super admin ${admin.email} created`);
+};
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,77 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+import { serveRouter } from './helpers/http.js';
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+// One client for the whole file, the services look their models up once when they are imported
+const prisma = createFakePrisma({
+  defaults: {
+    subAdmin: { role: 'SUB_ADMIN', twoFactorEnabled: false },
+    twoFactorChallenge: { attempts: 0, usedAt: null }
+  }
+});
+mock.module('@prisma/client', fakePrismaModule(prisma));
+
+const { default: adminRoutes } = await import('../api/v1/adminRoutes.js');
+const { createSecureToken } = await import('../api/v1/utils/secureToken.js');
+
+describe('POST /admin/invitations/accept', () => {
+  let server;
+
+  before(async () => {
+    server = await serveRouter('/admin', adminRoutes);
+  });
+
+  after(() => server.close());
+
+  const invite = () => {
+    const { token, tokenHash } = createSecureToken();
+    prisma.$seed('invitation', [{
+      email: `${crypto.randomUUID()}@example.com`,
+      name: 'Grace',
+      role: 'SUB_ADMIN',
+      adminId: 'admin-1',
+      invitedById: 'admin-1',
+      invitedByType: 'ADMIN',
+      tokenHash,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      acceptedAt: null,
+      revokedAt: null
+    }]);
+    return token;
+  };
+
+  const accept = (token) => server.request('/admin/invitations/accept', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ token, password: 'a-long-password' })
+  });
+
+  beforeEach(() => {
+    prisma.$rows('setting').length = 0;
+    prisma.$rows('session').length = 0;
+  });
+
+  it('asks for 2FA setup instead of signing in when 2FA is mandatory for sub-admins', async () => {
+    prisma.$seed('setting', [{ key: 'requireSubAdminTwoFactor', value: 'true' }]);
+
+    const response = await accept(invite());
+    const body = await response.json();
+
+    assert.equal(response.status, 201);
+    assert.equal(body.twoFactorSetupRequired, true);
+    assert.ok(body.challengeToken);
+    assert.equal(body.accessToken, undefined);
+    assert.equal(response.headers.get('set-cookie'), null);
+    assert.equal(prisma.$rows('session').length, 0);
+  });
+
+  it('signs the new sub-admin in when 2FA is optional', async () => {
+    const response = await accept(invite());
+
+    assert.equal(response.status, 201);
+    assert.equal(prisma.$rows('session').length, 1);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+
+mock.module('@prisma/client', fakePrismaModule(createFakePrisma()));
+
+const { attemptMaxScore, applyScoringPolicy } = await import('../api/v1/services/attemptService.js');
+
+const quiz = {
+  scoringPolicy: 'BEST',
+  questions: [
+    { id: 'q1', points: 1 },
+    { id: 'q2', points: 2 },
+    { id: 'q3', points: 5 }
+  ]
+};
+
+const attempt = (fields = {}) => ({
+  attemptNumber: 1,
+  completed: true,
+  score: 0,
+  maxScore: null,
+  questionOrder: [],
+  ...fields
+});
+
+describe('attemptMaxScore', () => {
+  it('keeps the maximum stored when the attempt was graded', () => {
+    assert.equal(attemptMaxScore(quiz, attempt({ maxScore: 3, questionOrder: ['q1', 'q2'] })), 3);
+  });
+
+  it('counts only the questions drawn for the attempt', () => {
+    assert.equal(attemptMaxScore(quiz, attempt({ questionOrder: ['q3', 'q1'] })), 6);
+  });
+
+  it('leaves out questions removed from the quiz since', () => {
+    assert.equal(attemptMaxScore(quiz, attempt({ questionOrder: ['q2', 'deleted'] })), 2);
+  });
+
+  it('counts every question for attempts from before question pools', () => {
+    assert.equal(attemptMaxScore(quiz, attempt()), 8);
+  });
+
+  it('is null when the quiz was loaded without its questions', () => {
+    assert.equal(attemptMaxScore({ scoringPolicy: 'BEST' }, attempt({ questionOrder: ['q1'] })), null);
+  });
+});
+
+describe('applyScoringPolicy', () => {
+  const attempts = [
+    attempt({ attemptNumber: 2, score: 8, maxScore: 8 }),
+    attempt({ attemptNumber: 1, score: 4, maxScore: 8 }),
+    attempt({ attemptNumber: 3, score: 6, maxScore: 8 }),
+    attempt({ attemptNumber: 4, score: 0, completed: false })
+  ];
+
+  it('is null until an attempt is completed', () => {
+    assert.equal(applyScoringPolicy(quiz, []), null);
+    assert.equal(applyScoringPolicy(quiz, [attempt({ completed: false })]), null);
+  });
+
+  it('takes the best completed attempt by default', () => {
+    const summary = applyScoringPolicy(quiz, attempts);
+
+    assert.equal(summary.score, 8);
+    assert.equal(summary.attempt.attemptNumber, 2);
+  });
+
+  it('lets the earlier attempt win a tie for the best score', () => {
+    const summary = applyScoringPolicy(quiz, [
+      attempt({ attemptNumber: 2, score: 5 }),
+      attempt({ attemptNumber: 1, score: 5 })
+    ]);
+
+    assert.equal(summary.attempt.attemptNumber, 1);
+  });
+
+  it('takes the latest completed attempt, ignoring one still in progress', () => {
+    const summary = applyScoringPolicy({ ...quiz, scoringPolicy: 'LATEST' }, attempts);
+
+    assert.equal(summary.score, 6);
+    assert.equal(summary.attempt.attemptNumber, 3);
+  });
+
+  it('averages the scores and maximums of the completed attempts', () => {
+    const summary = applyScoringPolicy({ ...quiz, scoringPolicy: 'AVERAGE' }, [
+      attempt({ attemptNumber: 1, score: 1, maxScore: 3 }),
+      attempt({ attemptNumber: 2, score: 2, questionOrder: ['q3'] })
+    ]);
+
+    assert.equal(summary.score, 1.5);
+    assert.equal(summary.maxScore, 4);
+    assert.equal(summary.attempt.attemptNumber, 2);
+  });
+
+  it('rounds the average to two decimals', () => {
+    const summary = applyScoringPolicy({ ...quiz, scoringPolicy: 'AVERAGE' }, [
+      attempt({ attemptNumber: 1, score: 1 }),
+      attempt({ attemptNumber: 2, score: 1 }),
+      attempt({ attemptNumber: 3, score: 2 })
+    ]);
+
+    assert.equal(summary.score, 1.33);
+  });
+
+  it('reports the maximum of the questions served to the attempt that counts', () => {
+    const summary = applyScoringPolicy(quiz, [attempt({ score: 2, questionOrder: ['q1', 'q2'] })]);
+
+    assert.equal(summary.maxScore, 3);
+  });
+});
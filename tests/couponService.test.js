@@ -0,0 +1,166 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+
+let prisma;
+mock.module('@prisma/client', fakePrismaModule(new Proxy({}, { get: (target, key) => prisma[key] })));
+
+const { applyCoupon, calculateDiscount, redeemCoupon } = await import('../api/v1/services/couponService.js');
+const { settlePendingPayment, refundPayment } = await import('../api/v1/services/paymentService.js');
+
+const quiz = { id: 'quiz-1', price: 200 };
+
+const seedCoupon = (fields = {}) => {
+  const [coupon] = prisma.$seed('coupon', [{
+    code: 'SAVE10',
+    discountType: 'PERCENTAGE',
+    discountValue: 10,
+    expiresAt: null,
+    maxRedemptions: null,
+    perUserLimit: null,
+    redemptionCount: 0,
+    active: true,
+    quizzes: [],
+    ...fields
+  }]);
+  return coupon;
+};
+
+const redeem = (coupon, userId, fields = {}) => redeemCoupon({
+  coupon,
+  userId,
+  paymentData: { userId, quizId: quiz.id, amount: 180, refundedAmount: 0, status: 'PENDING', ...fields }
+});
+
+const storedCoupon = (id) => prisma.$rows('coupon').find(coupon => coupon.id === id);
+
+describe('calculateDiscount', () => {
+  it('prices percentage and fixed discounts and never goes below zero', () => {
+    assert.equal(calculateDiscount({ discountType: 'PERCENTAGE', discountValue: 15 }, 99.99), 15);
+    assert.equal(calculateDiscount({ discountType: 'FIXED', discountValue: 50 }, 200), 50);
+    assert.equal(calculateDiscount({ discountType: 'FIXED', discountValue: 500 }, 200), 200);
+    assert.equal(calculateDiscount({ discountType: 'PERCENTAGE', discountValue: 100 }, 200), 200);
+  });
+});
+
+describe('applyCoupon', () => {
+  beforeEach(() => {
+    prisma = createFakePrisma({
+      unique: { couponRedemption: [['couponId', 'userId']] },
+      defaults: { couponRedemption: { count: 0 } }
+    });
+  });
+
+  it('prices a valid coupon, whatever the case of the code', async () => {
+    seedCoupon();
+    const result = await applyCoupon({ code: ' save10 ', userId: 'user-1', quiz });
+
+    assert.equal(result.success, true);
+    assert.equal(result.originalAmount, 200);
+    assert.equal(result.discountAmount, 20);
+    assert.equal(result.amount, 180);
+  });
+
+  it('rejects unknown, inactive, expired and other quizzes\' coupons', async () => {
+    seedCoupon({ code: 'OFF', active: false });
+    seedCoupon({ code: 'OLD', expiresAt: new Date(Date.now() - 1000) });
+    seedCoupon({ code: 'OTHER', quizzes: [{ id: 'quiz-2' }] });
+
+    assert.equal((await applyCoupon({ code: 'NOPE', userId: 'user-1', quiz })).status, 404);
+    assert.equal((await applyCoupon({ code: 'OFF', userId: 'user-1', quiz })).status, 404);
+    assert.match((await applyCoupon({ code: 'OLD', userId: 'user-1', quiz })).message, /expired/);
+    assert.match((await applyCoupon({ code: 'OTHER', userId: 'user-1', quiz })).message, /cannot be used for this quiz/);
+  });
+
+  it('turns the coupon away once a limit is used up', async () => {
+    seedCoupon({ code: 'FULL', maxRedemptions: 1, redemptionCount: 1 });
+    const mine = seedCoupon({ code: 'MINE', perUserLimit: 1 });
+    prisma.$seed('couponRedemption', [{ couponId: mine.id, userId: 'user-1', count: 1 }]);
+
+    assert.match((await applyCoupon({ code: 'FULL', userId: 'user-1', quiz })).message, /usage limit/);
+    assert.match((await applyCoupon({ code: 'MINE', userId: 'user-1', quiz })).message, /already used/);
+    assert.equal((await applyCoupon({ code: 'MINE', userId: 'user-2', quiz })).success, true);
+  });
+});
+
+describe('redeemCoupon', () => {
+  beforeEach(() => {
+    prisma = createFakePrisma({
+      unique: { couponRedemption: [['couponId', 'userId']] },
+      defaults: { couponRedemption: { count: 0 } }
+    });
+  });
+
+  it('stops at maxRedemptions', async () => {
+    const coupon = seedCoupon({ maxRedemptions: 2 });
+
+    assert.equal((await redeem(coupon, 'user-1')).success, true);
+    assert.equal((await redeem(coupon, 'user-2')).success, true);
+
+    const third = await redeem(coupon, 'user-3');
+    assert.equal(third.success, false);
+    assert.match(third.message, /usage limit/);
+    assert.equal(storedCoupon(coupon.id).redemptionCount, 2);
+    assert.equal(prisma.$rows('payment').length, 2);
+  });
+
+  it('stops at perUserLimit without using up the coupon for everyone else', async () => {
+    const coupon = seedCoupon({ maxRedemptions: 2, perUserLimit: 1 });
+
+    const first = await redeem(coupon, 'user-1');
+    assert.equal(first.payment.couponId, coupon.id);
+
+    const second = await redeem(coupon, 'user-1');
+    assert.equal(second.success, false);
+    assert.match(second.message, /already used/);
+    assert.equal(storedCoupon(coupon.id).redemptionCount, 1);
+    assert.equal((await redeem(coupon, 'user-2')).success, true);
+  });
+
+  it('gives a user their use back when the global limit turns them away', async () => {
+    const coupon = seedCoupon({ maxRedemptions: 1, perUserLimit: 1 });
+    await redeem(coupon, 'user-1');
+
+    assert.equal((await redeem(coupon, 'user-2')).success, false);
+
+    const redemption = prisma.$rows('couponRedemption').find(row => row.userId === 'user-2');
+    assert.equal(redemption.count, 0);
+  });
+
+  it('never oversells under concurrent checkouts', async () => {
+    const coupon = seedCoupon({ maxRedemptions: 1 });
+
+    const results = await Promise.all(['user-1', 'user-2', 'user-3'].map(userId => redeem(coupon, userId)));
+
+    assert.equal(results.filter(result => result.success).length, 1);
+    assert.equal(storedCoupon(coupon.id).redemptionCount, 1);
+    assert.equal(prisma.$rows('payment').length, 1);
+  });
+
+  it('releases the use when the checkout fails or is refunded in full, but not when it completes', async () => {
+    const coupon = seedCoupon({ maxRedemptions: 1, perUserLimit: 1 });
+
+    const failed = await redeem(coupon, 'user-1');
+    assert.equal(await settlePendingPayment(failed.payment.id, 'FAILED'), true);
+    assert.equal(storedCoupon(coupon.id).redemptionCount, 0);
+
+    const completed = await redeem(coupon, 'user-1');
+    assert.equal(completed.success, true);
+    await settlePendingPayment(completed.payment.id, 'COMPLETED');
+    assert.equal(storedCoupon(coupon.id).redemptionCount, 1);
+    assert.equal((await redeem(coupon, 'user-2')).success, false);
+
+    await refundPayment({ paymentId: completed.payment.id });
+    assert.equal(storedCoupon(coupon.id).redemptionCount, 0);
+    assert.equal((await redeem(coupon, 'user-2')).success, true);
+  });
+
+  it('only releases once when a payment is settled twice', async () => {
+    const coupon = seedCoupon({ maxRedemptions: 2, redemptionCount: 1 });
+    const { payment } = await redeem(coupon, 'user-1');
+
+    assert.equal(await settlePendingPayment(payment.id, 'CANCELLED'), true);
+    assert.equal(await settlePendingPayment(payment.id, 'FAILED'), false);
+    assert.equal(storedCoupon(coupon.id).redemptionCount, 1);
+  });
+});
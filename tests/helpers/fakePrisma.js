@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+
+// A small in-memory stand-in for PrismaClient, enough of the query API for the services under test.
+// Only to-one relations named after their foreign key are modelled, e.g. payment through paymentId, one level deep
+// in filters and includes. Seed any other related data a service reads onto the rows themselves.
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+};
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const matchesValue = (value, condition) => {
+  if (!isPlainObject(condition)) {
+    return comparable(value ?? null) === comparable(condition ?? null);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case 'equals': return matchesValue(value, operand);
+      case 'not': return !matchesValue(value, operand);
+      case 'in': return operand.some(item => matchesValue(value, item));
+      case 'notIn': return !operand.some(item => matchesValue(value, item));
+      case 'lt': return value !== null && comparable(value) < comparable(operand);
+      case 'lte': return value !== null && comparable(value) <= comparable(operand);
+      case 'gt': return value !== null && comparable(value) > comparable(operand);
+      case 'gte': return value !== null && comparable(value) >= comparable(operand);
+      default: throw new Error(`fakePrisma does not support the ${operator} filter`);
+    }
+  });
+};
+
+const matches = (row, where = {}, related = () => undefined) => {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'AND') return condition.every(part => matches(row, part, related));
+    if (key === 'OR') return condition.some(part => matches(row, part, related));
+    if (key === 'NOT') return !matches(row, condition, related);
+
+    // Compound unique keys such as { userId_quizId: { userId, quizId } }
+    if (isPlainObject(condition) && !(key in row) && key.includes('_')) return matches(row, condition, related);
+
+    // To-one relation filters such as { payment: { adminId } }
+    if (isPlainObject(condition) && !(key in row) && `${key}Id` in row) {
+      const target = related(key, row);
+      return Boolean(target) && matches(target, condition);
+    }
+
+    return matchesValue(row[key], condition);
+  });
+};
+
+// Anything else that is an object is stored as is, like a Json column
+const applyData = (row, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (isPlainObject(value) && 'increment' in value) {
+      row[key] += value.increment;
+    } else if (isPlainObject(value) && 'decrement' in value) {
+      row[key] -= value.decrement;
+    } else if (isPlainObject(value) && 'set' in value) {
+      row[key] = value.set;
+    } else {
+      row[key] = structuredClone(value);
+    }
+  });
+  row.updatedAt = new Date();
+  return row;
+};
+
+const sortRows = (rows, orderBy) => {
+  const orders = [orderBy ?? []].flat();
+
+  return [...rows].sort((a, b) => {
+    for (const order of orders) {
+      const [[key, direction]] = Object.entries(order);
+      const difference = comparable(a[key]) < comparable(b[key]) ? -1 : comparable(a[key]) > comparable(b[key]) ? 1 : 0;
+      if (difference !== 0) return direction === 'desc' ? -difference : difference;
+    }
+    return 0;
+  });
+};
+
+const prismaError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Build a fake client. `unique` lists the unique column sets per model so creates can fail with P2002,
+ * e.g. { receipt: [['number']] }, and `defaults` the column defaults the schema would fill in on create.
+ */
+export const createFakePrisma = ({ unique = {}, defaults = {} } = {}) => {
+  const tables = {};
+  const rowsOf = (model) => (tables[model] ??= []);
+  const copy = (row) => (row ? structuredClone(row) : null);
+  const related = (relation, row) => rowsOf(relation).find(candidate => candidate.id === row[`${relation}Id`]) ?? null;
+  const filter = (model, where) => rowsOf(model).filter(row => matches(row, where, related));
+
+  // Attaches the to-one relations named in include or select, nested selects are ignored
+  const withRelations = (row, { include, select } = {}) => {
+    if (!row) return null;
+
+    const result = copy(row);
+    Object.entries(include ?? select ?? {}).forEach(([key, value]) => {
+      if (value && !(key in row) && `${key}Id` in row) result[key] = copy(related(key, row));
+    });
+    return result;
+  };
+
+  // Like Postgres, rows with a null in the unique columns never clash
+  const checkUnique = (model, candidate) => {
+    (unique[model] ?? []).forEach(columns => {
+      if (columns.some(column => candidate[column] === null || candidate[column] === undefined)) return;
+
+      const clash = rowsOf(model).some(row => row !== candidate && columns.every(column => row[column] === candidate[column]));
+      if (clash) throw prismaError('P2002', `Unique constraint failed on ${model}(${columns.join(', ')})`);
+    });
+  };
+
+  const delegate = (model) => ({
+    async findUnique({ where, ...query }) {
+      return withRelations(filter(model, where)[0], query);
+    },
+
+    async findFirst({ where, orderBy, ...query } = {}) {
+      return withRelations(sortRows(filter(model, where), orderBy)[0], query);
+    },
+
+    async findMany({ where, orderBy, take, ...query } = {}) {
+      const rows = sortRows(filter(model, where), orderBy);
+      return rows.slice(0, take ?? rows.length).map(row => withRelations(row, query));
+    },
+
+    async count({ where } = {}) {
+      return filter(model, where).length;
+    },
+
+    async create({ data }) {
+      const now = new Date();
+      const row = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...defaults[model], ...structuredClone(data) };
+      checkUnique(model, row);
+      rowsOf(model).push(row);
+      return copy(row);
+    },
+
+    async createMany({ data, skipDuplicates = false }) {
+      let count = 0;
+      for (const item of data) {
+        try {
+          await this.create({ data: item });
+          count += 1;
+        } catch (error) {
+          if (error.code !== 'P2002' || !skipDuplicates) throw error;
+        }
+      }
+      return { count };
+    },
+
+    async update({ where, data }) {
+      const row = rowsOf(model).find(candidate => matches(candidate, where));
+      if (!row) throw prismaError('P2025', `No ${model} found to update`);
+      return copy(applyData(row, data));
+    },
+
+    async updateMany({ where, data }) {
+      const rows = filter(model, where);
+      rows.forEach(row => applyData(row, data));
+      return { count: rows.length };
+    },
+
+    async upsert({ where, create, update }) {
+      const row = rowsOf(model).find(candidate => matches(candidate, where));
+      return row ? copy(applyData(row, update)) : this.create({ data: create });
+    },
+
+    async delete({ where }) {
+      const index = rowsOf(model).findIndex(row => matches(row, where));
+      if (index === -1) throw prismaError('P2025', `No ${model} found to delete`);
+      return copy(rowsOf(model).splice(index, 1)[0]);
+    },
+
+    async deleteMany({ where } = {}) {
+      const kept = rowsOf(model).filter(row => !matches(row, where, related));
+      const count = rowsOf(model).length - kept.length;
+      tables[model] = kept;
+      return { count };
+    }
+  });
+
+  const client = new Proxy({}, {
+    get(target, property) {
+      if (property === 'then') return undefined;
+      if (property === '$transaction') {
+        return async (work) => (typeof work === 'function' ? work(client) : Promise.all(work));
+      }
+      if (property === '$rows') return rowsOf;
+      if (property === '$seed') {
+        return (model, rows) => rows.map(data => {
+          const now = new Date();
+          const row = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...defaults[model], ...data };
+          rowsOf(model).push(row);
+          return row;
+        });
+      }
+      if (typeof property !== 'string' || property.startsWith('$')) return undefined;
+      return (target[property] ??= delegate(property));
+    }
+  });
+
+  return client;
+};
+
+// Every `new PrismaClient()` in the services under test hands back the same fake
+export const fakePrismaModule = (prisma) => ({
+  namedExports: {
+    PrismaClient: class {
+      constructor() {
+        return prisma;
+      }
+    }
+  }
+});
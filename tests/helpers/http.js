@@ -0,0 +1,21 @@
+import express from 'express';
+
+// Serve a router on a free local port, mounted the way index.js mounts it
+export const serveRouter = async (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: (url, options = {}) => fetch(`${baseUrl}${url}`, options),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
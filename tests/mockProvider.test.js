@@ -0,0 +1,67 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const SECRET = 'test-webhook-secret';
+process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const webhookBody = (type = 'payment.completed') => Buffer.from(JSON.stringify({
+  id: 'evt_1',
+  type,
+  data: { providerPaymentId: 'mock_1' }
+}));
+
+describe('mockProvider.parseWebhook', () => {
+  let mockProvider;
+
+  before(async () => {
+    ({ default: mockProvider } = await import('../api/v1/services/providers/mockProvider.js'));
+  });
+
+  it('accepts a correctly signed body and normalises the event', () => {
+    const body = webhookBody();
+    const event = mockProvider.parseWebhook(body, { 'x-mock-signature': sign(body) });
+
+    assert.deepEqual(event, {
+      id: 'evt_1',
+      type: 'payment.completed',
+      providerPaymentId: 'mock_1',
+      status: 'COMPLETED'
+    });
+  });
+
+  it('maps failed payments and ignores unknown event types', () => {
+    const failed = webhookBody('payment.failed');
+    const unknown = webhookBody('payment.disputed');
+
+    assert.equal(mockProvider.parseWebhook(failed, { 'x-mock-signature': sign(failed) }).status, 'FAILED');
+    assert.equal(mockProvider.parseWebhook(unknown, { 'x-mock-signature': sign(unknown) }).status, null);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const body = webhookBody();
+    assert.equal(mockProvider.parseWebhook(body, { 'x-mock-signature': sign(body, 'other-secret') }), null);
+  });
+
+  it('rejects a body that changed after signing', () => {
+    const signature = sign(webhookBody());
+    const tampered = webhookBody('payment.failed');
+
+    assert.equal(mockProvider.parseWebhook(tampered, { 'x-mock-signature': signature }), null);
+  });
+
+  it('rejects missing, truncated and malformed signatures', () => {
+    const body = webhookBody();
+
+    assert.equal(mockProvider.parseWebhook(body, {}), null);
+    assert.equal(mockProvider.parseWebhook(body, { 'x-mock-signature': sign(body).slice(0, 32) }), null);
+    assert.equal(mockProvider.parseWebhook(body, { 'x-mock-signature': 'not-hex' }), null);
+    assert.equal(mockProvider.parseWebhook(body, { 'x-mock-signature': [sign(body)] }), null);
+  });
+
+  it('rejects a request without a body', () => {
+    assert.equal(mockProvider.parseWebhook(undefined, { 'x-mock-signature': sign('') }), null);
+  });
+});
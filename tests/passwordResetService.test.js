@@ -0,0 +1,77 @@
+import { describe, it, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+
+// One client for the whole file, the services look their models up once when they are imported
+const prisma = createFakePrisma();
+mock.module('@prisma/client', fakePrismaModule(prisma));
+
+const { changePassword } = await import('../api/v1/services/passwordResetService.js');
+
+describe('changePassword', () => {
+  let currentHash;
+
+  before(async () => {
+    currentHash = await bcrypt.hash('old-password', 4);
+  });
+
+  const seedUser = (fields = {}) => {
+    const [user] = prisma.$seed('user', [{
+      email: `${crypto.randomUUID()}@example.com`,
+      name: 'Ada',
+      password: currentHash,
+      ...fields
+    }]);
+    prisma.$seed('session', [
+      { subjectType: 'USER', subjectId: user.id, revokedAt: null },
+      { subjectType: 'USER', subjectId: user.id, revokedAt: null }
+    ]);
+    return user;
+  };
+
+  const storedUser = (id) => prisma.$rows('user').find(user => user.id === id);
+  const openSessions = (id) => prisma.$rows('session').filter(session => session.subjectId === id && !session.revokedAt);
+
+  it('requires the current password and the usual length rule', async () => {
+    const user = seedUser();
+
+    const missing = await changePassword('USER', user.id, undefined, 'new-password');
+    assert.equal(missing.status, 400);
+
+    const short = await changePassword('USER', user.id, 'old-password', 'short');
+    assert.equal(short.status, 400);
+    assert.match(short.message, /at least 8 characters/);
+
+    assert.equal(storedUser(user.id).password, currentHash);
+    assert.equal(openSessions(user.id).length, 2);
+  });
+
+  it('refuses a wrong current password', async () => {
+    const user = seedUser();
+
+    const result = await changePassword('USER', user.id, 'not-the-password', 'new-password');
+
+    assert.equal(result.status, 401);
+    assert.equal(storedUser(user.id).password, currentHash);
+  });
+
+  it('stores the new password and signs every session out', async () => {
+    const user = seedUser();
+
+    const result = await changePassword('USER', user.id, 'old-password', 'new-password');
+
+    assert.deepEqual(result, { success: true });
+    assert.equal(await bcrypt.compare('new-password', storedUser(user.id).password), true);
+    assert.equal(openSessions(user.id).length, 0);
+  });
+
+  it('sends accounts without a password to the reset flow', async () => {
+    const user = seedUser({ password: null });
+
+    const result = await changePassword('USER', user.id, 'anything', 'new-password');
+
+    assert.equal(result.status, 400);
+    assert.equal(storedUser(user.id).password, null);
+  });
+});
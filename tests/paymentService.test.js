@@ -0,0 +1,162 @@
+import { describe, it, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+
+let prisma;
+mock.module('@prisma/client', fakePrismaModule(new Proxy({}, { get: (target, key) => prisma[key] })));
+
+const { refundPayment, settlePendingPayment } = await import('../api/v1/services/paymentService.js');
+const { registerPaymentProvider } = await import('../api/v1/services/paymentProvider.js');
+
+const seedPayment = (fields = {}) => {
+  const [payment] = prisma.$seed('payment', [{
+    userId: 'user-1',
+    quizId: 'quiz-1',
+    amount: 100,
+    refundedAmount: 0,
+    status: 'COMPLETED',
+    currency: 'INR',
+    provider: 'none',
+    providerPaymentId: null,
+    ...fields
+  }]);
+  return payment;
+};
+
+const storedPayment = (id) => prisma.$rows('payment').find(payment => payment.id === id);
+
+describe('refundPayment', () => {
+  before(() => {
+    registerPaymentProvider({
+      name: 'failing',
+      async refundPayment() {
+        throw new Error('Gateway unavailable');
+      }
+    });
+  });
+
+  beforeEach(() => {
+    prisma = createFakePrisma();
+  });
+
+  it('refunds the full amount by default and revokes an attempt that was never started', async () => {
+    const payment = seedPayment();
+    prisma.$seed('quizAttempt', [{ userId: 'user-1', quizId: 'quiz-1', startedAt: null }]);
+
+    const result = await refundPayment({ paymentId: payment.id, reason: 'Requested' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.refund.amount, 100);
+    assert.equal(result.payment.status, 'REFUNDED');
+    assert.equal(result.payment.refundedAmount, 100);
+    assert.equal(result.attemptRevoked, true);
+    assert.equal(prisma.$rows('quizAttempt').length, 0);
+  });
+
+  it('keeps attempts the user already started', async () => {
+    const payment = seedPayment();
+    prisma.$seed('quizAttempt', [{ userId: 'user-1', quizId: 'quiz-1', startedAt: new Date() }]);
+
+    const result = await refundPayment({ paymentId: payment.id });
+
+    assert.equal(result.attemptRevoked, false);
+    assert.equal(prisma.$rows('quizAttempt').length, 1);
+  });
+
+  it('tracks partial refunds until the whole amount is back', async () => {
+    const payment = seedPayment();
+
+    const first = await refundPayment({ paymentId: payment.id, amount: 30 });
+    assert.equal(first.payment.status, 'PARTIALLY_REFUNDED');
+    assert.equal(first.payment.refundedAmount, 30);
+
+    const second = await refundPayment({ paymentId: payment.id });
+    assert.equal(second.refund.amount, 70);
+    assert.equal(second.payment.status, 'REFUNDED');
+    assert.equal(second.payment.refundedAmount, 100);
+  });
+
+  it('never refunds more than what is left', async () => {
+    const payment = seedPayment({ refundedAmount: 80, status: 'PARTIALLY_REFUNDED' });
+
+    for (const amount of [20.01, 0, -5, 'abc']) {
+      const result = await refundPayment({ paymentId: payment.id, amount });
+      assert.equal(result.success, false);
+      assert.equal(result.status, 400);
+    }
+
+    assert.equal(storedPayment(payment.id).refundedAmount, 80);
+    assert.equal(prisma.$rows('refund').length, 0);
+  });
+
+  it('only refunds paid payments', async () => {
+    for (const status of ['PENDING', 'FAILED', 'CANCELLED', 'REFUNDED']) {
+      const payment = seedPayment({ status });
+      const result = await refundPayment({ paymentId: payment.id });
+
+      assert.equal(result.success, false);
+      assert.equal(result.status, 400);
+    }
+
+    const missing = await refundPayment({ paymentId: 'missing' });
+    assert.equal(missing.status, 404);
+  });
+
+  it('lets only one of two concurrent refunds through', async () => {
+    const payment = seedPayment();
+
+    const results = await Promise.all([
+      refundPayment({ paymentId: payment.id, amount: 60 }),
+      refundPayment({ paymentId: payment.id, amount: 60 })
+    ]);
+
+    assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+    assert.equal(results.find(result => !result.success).status, 409);
+    assert.equal(storedPayment(payment.id).refundedAmount, 60);
+    assert.equal(prisma.$rows('refund').length, 1);
+  });
+
+  it('gives the claimed amount back when the gateway refuses the refund', async () => {
+    const payment = seedPayment({ provider: 'failing', providerPaymentId: 'failing_1' });
+
+    await assert.rejects(refundPayment({ paymentId: payment.id, amount: 40 }), /Gateway unavailable/);
+
+    assert.equal(storedPayment(payment.id).refundedAmount, 0);
+    assert.equal(storedPayment(payment.id).status, 'COMPLETED');
+    assert.equal(prisma.$rows('refund').length, 0);
+  });
+});
+
+describe('open checkouts', () => {
+  beforeEach(() => {
+    prisma = createFakePrisma();
+  });
+
+  it('frees the quiz for a new checkout when a pending payment fails or is cancelled', async () => {
+    for (const status of ['FAILED', 'CANCELLED']) {
+      const payment = seedPayment({ status: 'PENDING', activeQuizId: 'quiz-1' });
+
+      assert.equal(await settlePendingPayment(payment.id, status), true);
+      assert.equal(storedPayment(payment.id).activeQuizId, null);
+    }
+  });
+
+  it('keeps the quiz taken once the payment completes', async () => {
+    const payment = seedPayment({ status: 'PENDING', activeQuizId: 'quiz-1' });
+
+    await settlePendingPayment(payment.id, 'COMPLETED');
+
+    assert.equal(storedPayment(payment.id).activeQuizId, 'quiz-1');
+    assert.ok(storedPayment(payment.id).completedAt instanceof Date);
+  });
+
+  it('frees the quiz only when the payment is refunded in full', async () => {
+    const payment = seedPayment({ activeQuizId: 'quiz-1' });
+
+    await refundPayment({ paymentId: payment.id, amount: 40 });
+    assert.equal(storedPayment(payment.id).activeQuizId, 'quiz-1');
+
+    await refundPayment({ paymentId: payment.id });
+    assert.equal(storedPayment(payment.id).activeQuizId, null);
+  });
+});
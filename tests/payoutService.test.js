@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+
+let prisma;
+mock.module('@prisma/client', fakePrismaModule(new Proxy({}, { get: (target, key) => prisma[key] })));
+
+const { computePayouts, settleQuizPrizes } = await import('../api/v1/services/payoutService.js');
+
+const entry = (userId, score) => ({ userId, score });
+const fixed = (rank, value) => ({ rank, type: 'FIXED', value });
+const percentage = (rank, value) => ({ rank, type: 'PERCENTAGE', value });
+
+describe('computePayouts', () => {
+  it('pays fixed prizes by rank, whatever order the entries come in', () => {
+    const payouts = computePayouts(
+      [entry('c', 3), entry('a', 9), entry('b', 5)],
+      [fixed(1, 100), fixed(2, 50), fixed(3, 10)],
+      0
+    );
+
+    assert.deepEqual(payouts, [
+      { userId: 'a', rank: 1, score: 9, amount: 100 },
+      { userId: 'b', rank: 2, score: 5, amount: 50 },
+      { userId: 'c', rank: 3, score: 3, amount: 10 }
+    ]);
+  });
+
+  it('takes percentage prizes from the pool', () => {
+    const payouts = computePayouts([entry('a', 2), entry('b', 1)], [percentage(1, 60), percentage(2, 25)], 400);
+    assert.deepEqual(payouts.map(payout => payout.amount), [240, 100]);
+  });
+
+  it('splits the prizes of tied positions and ranks the next player after them', () => {
+    const payouts = computePayouts(
+      [entry('a', 8), entry('b', 8), entry('c', 7)],
+      [fixed(1, 100), fixed(2, 50), fixed(3, 30)],
+      0
+    );
+
+    assert.deepEqual(payouts, [
+      { userId: 'a', rank: 1, score: 8, amount: 75 },
+      { userId: 'b', rank: 1, score: 8, amount: 75 },
+      { userId: 'c', rank: 3, score: 7, amount: 30 }
+    ]);
+  });
+
+  it('rounds shares down so the total never exceeds the prize', () => {
+    const payouts = computePayouts([entry('a', 1), entry('b', 1), entry('c', 1)], [fixed(1, 100)], 0);
+
+    assert.deepEqual(payouts.map(payout => payout.amount), [33.33, 33.33, 33.33]);
+    assert.ok(payouts.reduce((sum, payout) => sum + payout.amount, 0) <= 100);
+  });
+
+  it('leaves out players without a prize and copes with fewer players than prizes', () => {
+    assert.deepEqual(computePayouts([entry('a', 5), entry('b', 4)], [fixed(1, 10)], 0).map(payout => payout.userId), ['a']);
+    assert.equal(computePayouts([entry('a', 5)], [fixed(1, 10), fixed(2, 5)], 0).length, 1);
+    assert.deepEqual(computePayouts([], [fixed(1, 10)], 0), []);
+  });
+});
+
+describe('settleQuizPrizes', () => {
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  const seedQuiz = (fields = {}) => {
+    const [quiz] = prisma.$seed('quiz', [{
+      endDate: minutesAgo(10),
+      prizesSettledAt: null,
+      scoringPolicy: 'BEST',
+      partialCredit: false,
+      negativeMarking: 0,
+      durationMinutes: null,
+      prizeTiers: [fixed(1, 100), fixed(2, 40)],
+      leaderboard: { id: 'board-1' },
+      questions: [{
+        id: 'question-1',
+        type: 'SINGLE_CHOICE',
+        points: 1,
+        options: [{ id: 'right', isCorrect: true }, { id: 'wrong', isCorrect: false }]
+      }],
+      ...fields
+    }]);
+    return quiz;
+  };
+
+  beforeEach(() => {
+    prisma = createFakePrisma();
+  });
+
+  it('waits until late submissions are closed', async () => {
+    const quiz = seedQuiz({ endDate: new Date(Date.now() - 1000) });
+
+    const result = await settleQuizPrizes(quiz.id);
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 400);
+    assert.equal(prisma.$rows('payout').length, 0);
+  });
+
+  it('grades attempts nobody submitted before ranking, then settles only once', async () => {
+    const quiz = seedQuiz();
+    prisma.$seed('leaderBoardEntry', [{ leaderboardId: 'board-1', userId: 'finished', score: 0.5 }]);
+    prisma.$seed('quizAttempt', [
+      { userId: 'finished', quizId: quiz.id, attemptNumber: 1, score: 0.5, maxScore: 1, completed: true, startedAt: minutesAgo(30), questionOrder: [] },
+      { userId: 'abandoned', quizId: quiz.id, attemptNumber: 1, score: 0, completed: false, startedAt: minutesAgo(20), questionOrder: [] },
+      { userId: 'never-opened', quizId: quiz.id, attemptNumber: 1, score: 0, completed: false, startedAt: null, questionOrder: [] }
+    ]);
+    const abandoned = prisma.$rows('quizAttempt').find(attempt => attempt.userId === 'abandoned');
+    prisma.$seed('attemptAnswer', [{ attemptId: abandoned.id, questionId: 'question-1', answer: { optionId: 'right' } }]);
+
+    const result = await settleQuizPrizes(quiz.id);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.payouts.map(({ userId, rank, amount }) => ({ userId, rank, amount })), [
+      { userId: 'abandoned', rank: 1, amount: 100 },
+      { userId: 'finished', rank: 2, amount: 40 }
+    ]);
+    assert.equal(prisma.$rows('quizAttempt').find(attempt => attempt.id === abandoned.id).completed, true);
+    assert.equal(prisma.$rows('quizAttempt').find(attempt => attempt.userId === 'never-opened').completed, false);
+
+    const again = await settleQuizPrizes(quiz.id);
+    assert.equal(again.status, 409);
+    assert.equal(prisma.$rows('payout').length, 2);
+  });
+
+  it('only ranks players who still hold a completed payment on paid quizzes', async () => {
+    const quiz = seedQuiz({ price: 10 });
+    prisma.$seed('leaderBoardEntry', [
+      { leaderboardId: 'board-1', userId: 'refunded', score: 1 },
+      { leaderboardId: 'board-1', userId: 'partly-refunded', score: 0.9 },
+      { leaderboardId: 'board-1', userId: 'paid', score: 0.5 }
+    ]);
+    prisma.$seed('payment', [
+      { userId: 'refunded', quizId: quiz.id, amount: 10, refundedAmount: 10, status: 'REFUNDED' },
+      { userId: 'partly-refunded', quizId: quiz.id, amount: 10, refundedAmount: 5, status: 'PARTIALLY_REFUNDED' },
+      { userId: 'paid', quizId: quiz.id, amount: 10, refundedAmount: 0, status: 'COMPLETED' }
+    ]);
+
+    const result = await settleQuizPrizes(quiz.id);
+
+    assert.deepEqual(result.payouts.map(({ userId, rank }) => ({ userId, rank })), [{ userId: 'paid', rank: 1 }]);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuestion, parseQuestions, scoreAnswer } from '../api/v1/services/questionService.js';
+
+describe('parseQuestion', () => {
+  it('rejects entries that are not objects', () => {
+    for (const question of [null, undefined, 'What is 2 + 2?', 4, ['text']]) {
+      assert.deepEqual(parseQuestion(question, 2), { error: 'Question 3 must be an object' });
+    }
+  });
+
+  it('defaults to single choice and reads the correct option by text', () => {
+    const { data } = parseQuestion({
+      text: 'Capital of France?',
+      options: [{ text: 'Paris' }, { text: 'Lyon' }],
+      correctAnswer: 'Paris'
+    }, 0);
+
+    assert.equal(data.type, 'SINGLE_CHOICE');
+    assert.equal(data.points, 1);
+    assert.deepEqual(data.options.create, [
+      { text: 'Paris', isCorrect: true },
+      { text: 'Lyon', isCorrect: false }
+    ]);
+  });
+
+  it('takes options flagged as correct for multiple choice', () => {
+    const { data } = parseQuestion({
+      type: 'MULTIPLE_CHOICE',
+      text: 'Prime numbers?',
+      points: 3,
+      options: [{ text: '2', isCorrect: true }, { text: '3', isCorrect: true }, { text: '4' }]
+    }, 0);
+
+    assert.equal(data.points, 3);
+    assert.deepEqual(data.options.create.map(option => option.isCorrect), [true, true, false]);
+  });
+
+  it('builds the two options of a true/false question', () => {
+    const { data } = parseQuestion({ type: 'TRUE_FALSE', text: 'The earth is flat', correctAnswer: false }, 0);
+
+    assert.deepEqual(data.options.create, [
+      { text: 'True', isCorrect: false },
+      { text: 'False', isCorrect: true }
+    ]);
+  });
+
+  it('stores numeric answers with their tolerance and short text answers trimmed', () => {
+    const numeric = parseQuestion({ type: 'NUMERIC', text: 'Pi to two decimals', correctAnswer: '3.14', tolerance: 0.01 }, 0);
+    assert.equal(numeric.data.numericAnswer, 3.14);
+    assert.equal(numeric.data.tolerance, 0.01);
+
+    const shortText = parseQuestion({ type: 'SHORT_TEXT', text: 'Largest ocean', acceptedAnswers: [' Pacific ', 'Pacific Ocean'] }, 0);
+    assert.deepEqual(shortText.data.acceptedAnswers, ['Pacific', 'Pacific Ocean']);
+  });
+
+  it('names the question that is invalid', () => {
+    const cases = [
+      [{ type: 'ESSAY', text: 'Why?' }, /Question 1 has an unknown type/],
+      [{ text: '  ', options: [{ text: 'a' }, { text: 'b' }], correctAnswer: 'a' }, /Question 1 needs a text/],
+      [{ text: 'Q', points: 0, options: [{ text: 'a' }, { text: 'b' }], correctAnswer: 'a' }, /points of question 1/],
+      [{ text: 'Q', options: [{ text: 'a' }] }, /Question 1 needs at least two options/],
+      [{ text: 'Q', options: [{ text: 'a' }, { text: 'b' }] }, /Question 1 needs exactly one correct option/],
+      [{ type: 'MULTIPLE_CHOICE', text: 'Q', options: [{ text: 'a' }, { text: 'b' }] }, /at least one correct option/],
+      [{ type: 'TRUE_FALSE', text: 'Q', correctAnswer: 'true' }, /correctAnswer set to true or false/],
+      [{ type: 'NUMERIC', text: 'Q', correctAnswer: '' }, /numeric correctAnswer/],
+      [{ type: 'NUMERIC', text: 'Q', correctAnswer: 1, tolerance: -1 }, /tolerance of question 1/],
+      [{ type: 'SHORT_TEXT', text: 'Q', acceptedAnswers: ['  '] }, /at least one accepted answer/]
+    ];
+
+    for (const [question, error] of cases) {
+      assert.match(parseQuestion(question, 0).error, error);
+    }
+  });
+});
+
+describe('parseQuestions', () => {
+  it('parses every question in order', () => {
+    const { questions } = parseQuestions([
+      { type: 'TRUE_FALSE', text: 'First', correctAnswer: true },
+      { type: 'NUMERIC', text: 'Second', correctAnswer: 2 }
+    ]);
+
+    assert.deepEqual(questions.map(question => question.text), ['First', 'Second']);
+  });
+
+  it('stops at the first invalid question', () => {
+    const result = parseQuestions([
+      { type: 'TRUE_FALSE', text: 'First', correctAnswer: true },
+      null,
+      { type: 'ESSAY', text: 'Third' }
+    ]);
+
+    assert.deepEqual(result, { error: 'Question 2 must be an object' });
+  });
+});
+
+const multipleChoice = {
+  type: 'MULTIPLE_CHOICE',
+  points: 4,
+  options: [
+    { id: 'a', text: 'A', isCorrect: true },
+    { id: 'b', text: 'B', isCorrect: true },
+    { id: 'c', text: 'C', isCorrect: false },
+    { id: 'd', text: 'D', isCorrect: false }
+  ]
+};
+
+const singleChoice = {
+  type: 'SINGLE_CHOICE',
+  points: 2,
+  options: [
+    { id: 'yes', text: 'Yes', isCorrect: true },
+    { id: 'no', text: 'No', isCorrect: false }
+  ]
+};
+
+describe('scoreAnswer', () => {
+  it('gives the question its points for a correct answer', () => {
+    assert.deepEqual(scoreAnswer(singleChoice, { optionId: 'yes' }), { correct: true, points: 2 });
+    assert.deepEqual(scoreAnswer(multipleChoice, { optionIds: ['b', 'a'] }), { correct: true, points: 4 });
+  });
+
+  it('grades numeric answers within the tolerance and short text regardless of case and accents', () => {
+    const numeric = { type: 'NUMERIC', points: 1, options: [], numericAnswer: 0.3, tolerance: 0 };
+    assert.equal(scoreAnswer(numeric, { value: 0.1 + 0.2 }).correct, true);
+    assert.equal(scoreAnswer(numeric, { value: '0.31' }).correct, false);
+
+    const shortText = { type: 'SHORT_TEXT', points: 1, options: [], acceptedAnswers: ['Sao Paulo'] };
+    assert.equal(scoreAnswer(shortText, { value: '  são   PAULO ' }).correct, true);
+  });
+
+  it('still grades legacy questions that name the correct option instead of flagging it', () => {
+    const legacy = {
+      type: 'SINGLE_CHOICE',
+      points: 1,
+      correctAnswer: 'Yes',
+      options: [{ id: 'yes', text: 'Yes', isCorrect: false }, { id: 'no', text: 'No', isCorrect: false }]
+    };
+
+    assert.equal(scoreAnswer(legacy, { answerId: 'yes' }).correct, true);
+  });
+
+  it('gives nothing for a wrong answer without partial credit or negative marking', () => {
+    assert.deepEqual(scoreAnswer(singleChoice, { optionId: 'no' }), { correct: false, points: 0 });
+    assert.deepEqual(scoreAnswer(multipleChoice, { optionIds: ['a'] }), { correct: false, points: 0 });
+  });
+
+  describe('partial credit', () => {
+    const rules = { partialCredit: true };
+
+    it('gives a share of the points for each right option chosen', () => {
+      assert.deepEqual(scoreAnswer(multipleChoice, { optionIds: ['a'] }, rules), { correct: false, points: 2 });
+    });
+
+    it('takes a share back for each wrong option, never below zero', () => {
+      assert.equal(scoreAnswer(multipleChoice, { optionIds: ['a', 'c'] }, rules).points, 0);
+      assert.equal(scoreAnswer(multipleChoice, { optionIds: ['a', 'c', 'd'] }, rules).points, 0);
+    });
+
+    it('only applies to multiple choice questions', () => {
+      assert.equal(scoreAnswer(singleChoice, { optionId: 'no' }, rules).points, 0);
+    });
+  });
+
+  describe('negative marking', () => {
+    const rules = { negativeMarking: 0.25 };
+
+    it('deducts the configured share of the points for a wrong answer', () => {
+      assert.deepEqual(scoreAnswer(singleChoice, { optionId: 'no' }, rules), { correct: false, points: -0.5 });
+    });
+
+    it('deducts when partial credit earns nothing', () => {
+      const answer = { optionIds: ['a', 'c'] };
+      assert.equal(scoreAnswer(multipleChoice, answer, { partialCredit: true, ...rules }).points, -1);
+    });
+
+    it('does not deduct when partial credit earns something', () => {
+      const answer = { optionIds: ['a'] };
+      assert.equal(scoreAnswer(multipleChoice, answer, { partialCredit: true, ...rules }).points, 2);
+    });
+  });
+
+  it('never takes points for unanswered questions', () => {
+    const rules = { partialCredit: true, negativeMarking: 1 };
+    const numeric = { type: 'NUMERIC', points: 1, options: [], numericAnswer: 5, tolerance: 0 };
+
+    assert.deepEqual(scoreAnswer(singleChoice, { optionId: null }, rules), { correct: false, points: 0 });
+    assert.deepEqual(scoreAnswer(multipleChoice, { optionIds: [] }, rules), { correct: false, points: 0 });
+    assert.deepEqual(scoreAnswer(numeric, { value: '  ' }, rules), { correct: false, points: 0 });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+import { serveRouter } from './helpers/http.js';
+
+const JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_SECRET = JWT_SECRET;
+
+// One client for the whole file, the services look their models up once when they are imported
+const prisma = createFakePrisma({
+  unique: { quizAttempt: [['userId', 'quizId', 'attemptNumber']] },
+  defaults: { quizAttempt: { attemptNumber: 1 } }
+});
+mock.module('@prisma/client', fakePrismaModule(prisma));
+
+const { default: quizRoutes } = await import('../api/v1/quizroutes.js');
+const { hashToken } = await import('../api/v1/utils/secureToken.js');
+
+const bearer = (id, role = 'ADMIN') => ({ authorization: `Bearer ${jwt.sign({ id, role }, JWT_SECRET)}` });
+
+describe('API keys on quiz routes', () => {
+  let server;
+
+  before(async () => {
+    server = await serveRouter('/quiz', quizRoutes);
+
+    prisma.$seed('admin', [{ id: 'owner', isSuper: false }]);
+    prisma.$seed('quiz', [{ id: 'quiz-1', title: 'Algebra', adminId: 'owner', prizesSettledAt: null, prizeTiers: [], payouts: [] }]);
+  });
+
+  after(() => server.close());
+
+  const issueKey = (scopes) => {
+    const key = `aqk_${crypto.randomUUID()}`;
+    const [apiKey] = prisma.$seed('apiKey', [{
+      name: 'LMS sync',
+      keyHash: hashToken(key),
+      scopes,
+      ownerId: 'owner',
+      ownerType: 'ADMIN',
+      expiresAt: null,
+      revokedAt: null
+    }]);
+    return { key, apiKey };
+  };
+
+  const usageOf = (apiKey) => prisma.$rows('apiKeyUsage').filter(usage => usage.apiKeyId === apiKey.id);
+
+  it('accepts a key holding the quiz:view scope and logs its use', async () => {
+    const { key, apiKey } = issueKey(['quiz:view']);
+
+    const response = await server.request('/quiz/quiz-1/prizes', { headers: { 'x-api-key': key } });
+    const { data } = await response.json();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(response.status, 200);
+    assert.equal(data.quizId, 'quiz-1');
+    assert.deepEqual(usageOf(apiKey).map(usage => [usage.path, usage.statusCode]), [['/quiz/quiz-1/prizes', 200]]);
+  });
+
+  it('refuses a key without the scope', async () => {
+    const { key, apiKey } = issueKey(['report:view:own']);
+
+    const response = await server.request('/quiz/quiz-1/prizes', { headers: { 'x-api-key': key } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(response.status, 403);
+    assert.deepEqual(usageOf(apiKey).map(usage => usage.statusCode), [403]);
+  });
+
+  it('refuses unknown and revoked keys', async () => {
+    const { key, apiKey } = issueKey(['quiz:view']);
+    apiKey.revokedAt = new Date();
+
+    const revoked = await server.request('/quiz/quiz-1/prizes', { headers: { 'x-api-key': key } });
+    const unknown = await server.request('/quiz/quiz-1/prizes', { headers: { 'x-api-key': 'aqk_unknown' } });
+
+    assert.equal(revoked.status, 401);
+    assert.equal(unknown.status, 401);
+  });
+});
+
+describe('PATCH /quiz/:quizId', () => {
+  let server;
+
+  before(async () => {
+    server = await serveRouter('/quiz', quizRoutes);
+
+    prisma.$seed('admin', [{ id: 'editor', isSuper: false }]);
+    prisma.$seed('quiz', [{ id: 'quiz-2', title: 'Geometry', adminId: 'editor' }]);
+    prisma.$seed('question', [{ id: 'question-1', quizId: 'quiz-2', text: 'Sum of the angles of a triangle?' }]);
+    prisma.$seed('quizAttempt', [
+      { quizId: 'quiz-2', userId: 'user-1', attemptNumber: 1, completed: false, startedAt: new Date(), questionOrder: ['question-1'] }
+    ]);
+  });
+
+  after(() => server.close());
+
+  it('refuses to replace the questions while an attempt is in progress', async () => {
+    const response = await server.request('/quiz/quiz-2', {
+      method: 'PATCH',
+      headers: { ...bearer('editor'), 'content-type': 'application/json' },
+      body: JSON.stringify({
+        operation: 'replace',
+        questions: [{ type: 'TRUE_FALSE', text: 'A square is a rectangle', correctAnswer: true }]
+      })
+    });
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(prisma.$rows('question').filter(question => question.quizId === 'quiz-2').map(question => question.id), ['question-1']);
+  });
+});
+
+describe('POST /quiz/:quizId/attempts', () => {
+  let server;
+
+  before(async () => {
+    server = await serveRouter('/quiz', quizRoutes);
+
+    prisma.$seed('quiz', [{ id: 'quiz-3', title: 'Chemistry', adminId: 'owner', startDate: null, endDate: null }]);
+    prisma.$seed('user', [{ id: 'unverified', email: 'unverified@example.com', emailVerified: false }]);
+  });
+
+  after(() => server.close());
+
+  it('asks users to verify their email address first', async () => {
+    const response = await server.request('/quiz/quiz-3/attempts', { method: 'POST', headers: bearer('unverified', 'USER') });
+    const body = await response.json();
+
+    assert.equal(response.status, 403);
+    assert.equal(body.emailVerificationRequired, true);
+    assert.equal(prisma.$rows('quizAttempt').filter(attempt => attempt.quizId === 'quiz-3').length, 0);
+  });
+});
+
+describe('POST /quiz/:quizId/join', () => {
+  let server;
+
+  before(async () => {
+    server = await serveRouter('/quiz', quizRoutes);
+
+    prisma.$seed('quiz', [{ id: 'quiz-4', title: 'Biology', adminId: 'owner', price: 0, startDate: null, endDate: null }]);
+    prisma.$seed('user', [{ id: 'joiner', email: 'joiner@example.com', emailVerified: true }]);
+  });
+
+  after(() => server.close());
+
+  it('answers 409 when another join got in between the check and the insert', async () => {
+    prisma.$seed('quizAttempt', [{ quizId: 'quiz-4', userId: 'joiner', attemptNumber: 1, completed: false, startedAt: null }]);
+    const findFirst = mock.method(prisma.quizAttempt, 'findFirst', async () => null);
+
+    try {
+      const response = await server.request('/quiz/quiz-4/join', { method: 'POST', headers: bearer('joiner', 'USER') });
+
+      assert.equal(response.status, 409);
+      assert.equal(prisma.$rows('quizAttempt').filter(attempt => attempt.quizId === 'quiz-4').length, 1);
+    } finally {
+      findFirst.mock.restore();
+    }
+  });
+});
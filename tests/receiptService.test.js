@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+
+let prisma;
+mock.module('@prisma/client', fakePrismaModule(new Proxy({}, { get: (target, key) => prisma[key] })));
+
+const { issueReceipt, reissueReceipt } = await import('../api/v1/services/receiptService.js');
+
+const completedAt = new Date('2024-03-01T10:00:00Z');
+
+const seedPayment = (fields = {}) => {
+  const [payment] = prisma.$seed('payment', [{
+    userId: 'user-1',
+    user: { name: 'Asha', email: 'asha@example.com' },
+    quiz: { title: 'Physics' },
+    amount: 100,
+    originalAmount: 100,
+    discountAmount: 0,
+    refundedAmount: 0,
+    currency: 'INR',
+    status: 'COMPLETED',
+    completedAt,
+    updatedAt: new Date('2024-04-01T10:00:00Z'),
+    ...fields
+  }]);
+  return payment;
+};
+
+describe('issueReceipt', () => {
+  beforeEach(() => {
+    prisma = createFakePrisma({ unique: { receipt: [['number'], ['activePaymentId']] } });
+  });
+
+  it('issues one receipt dated when the payment completed and returns it again afterwards', async () => {
+    const payment = seedPayment();
+
+    const receipt = await issueReceipt(payment.id);
+    const again = await issueReceipt(payment.id);
+
+    assert.equal(receipt.number, 1);
+    assert.equal(receipt.paidAt.getTime(), completedAt.getTime());
+    assert.equal(again.id, receipt.id);
+    assert.equal(prisma.$rows('receipt').length, 1);
+  });
+
+  it('hands concurrent callers the same receipt', async () => {
+    const payment = seedPayment();
+
+    const [first, second] = await Promise.all([issueReceipt(payment.id), issueReceipt(payment.id)]);
+
+    assert.equal(first.id, second.id);
+    assert.equal(prisma.$rows('receipt').length, 1);
+  });
+
+  it('issues nothing for payments that were never paid', async () => {
+    for (const status of ['PENDING', 'FAILED', 'CANCELLED']) {
+      const payment = seedPayment({ status, completedAt: null });
+      assert.equal(await issueReceipt(payment.id), null);
+    }
+    assert.equal(prisma.$rows('receipt').length, 0);
+  });
+});
+
+describe('reissueReceipt', () => {
+  beforeEach(() => {
+    prisma = createFakePrisma({ unique: { receipt: [['number'], ['activePaymentId']] } });
+  });
+
+  it('voids the old receipt and keeps the original payment date on the replacement', async () => {
+    const payment = seedPayment();
+    const original = await issueReceipt(payment.id);
+
+    prisma.$rows('payment')[0].updatedAt = new Date('2024-05-01T10:00:00Z');
+    const replacement = await reissueReceipt(original.id);
+
+    assert.equal(replacement.number, 2);
+    assert.equal(replacement.paidAt.getTime(), completedAt.getTime());
+    assert.notEqual(prisma.$rows('receipt').find(receipt => receipt.id === original.id).voidedAt, null);
+    assert.equal((await issueReceipt(payment.id)).id, replacement.id);
+    assert.equal(await reissueReceipt(original.id), null);
+  });
+});
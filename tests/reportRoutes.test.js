@@ -0,0 +1,81 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+import { serveRouter } from './helpers/http.js';
+
+const JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_SECRET = JWT_SECRET;
+
+let prisma;
+mock.module('@prisma/client', fakePrismaModule(new Proxy({}, { get: (target, key) => prisma[key] })));
+
+const { default: reportRoutes } = await import('../api/v1/reportRoutes.js');
+
+const bearer = (id) => ({ authorization: `Bearer ${jwt.sign({ id, role: 'ADMIN' }, JWT_SECRET)}` });
+
+describe('revenue reports', () => {
+  let server;
+
+  before(async () => {
+    server = await serveRouter('/reports', reportRoutes);
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    prisma = createFakePrisma();
+    prisma.$seed('admin', [
+      { id: 'owner', isSuper: false },
+      { id: 'other', isSuper: false },
+      { id: 'super', isSuper: true }
+    ]);
+    prisma.$seed('quiz', [{ id: 'quiz-1', title: 'Algebra', adminId: 'owner' }]);
+
+    const payment = (fields) => ({ status: 'COMPLETED', refundedAmount: 0, userId: 'user-1', ...fields });
+    prisma.$seed('payment', [
+      // Started on the last day of January, paid on the first of February, for a quiz deleted since
+      payment({ id: 'late', quizId: null, adminId: 'owner', amount: 100, createdAt: new Date('2026-01-31T23:50:00Z'), completedAt: new Date('2026-02-01T00:10:00Z') }),
+      payment({ id: 'paid', quizId: 'quiz-1', adminId: 'owner', amount: 50, status: 'PARTIALLY_REFUNDED', refundedAmount: 20, createdAt: new Date('2026-02-10T10:00:00Z'), completedAt: new Date('2026-02-10T10:05:00Z') }),
+      payment({ id: 'foreign', quizId: null, adminId: 'other', amount: 70, createdAt: new Date('2026-02-05T10:00:00Z'), completedAt: new Date('2026-02-05T10:05:00Z') })
+    ]);
+    prisma.$seed('refund', [{ paymentId: 'paid', amount: 20, createdAt: new Date('2026-03-03T09:00:00Z') }]);
+  });
+
+  it('buckets payments by when they completed and refunds by when they were issued', async () => {
+    const response = await server.request('/reports/revenue/timeline?interval=month&from=2026-02-01&to=2026-03-31', {
+      headers: bearer('owner')
+    });
+    const { data } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(data.rows, [
+      { period: '2026-02', payments: 2, grossRevenue: 150, refunded: 0, netRevenue: 150 },
+      { period: '2026-03', payments: 0, grossRevenue: 0, refunded: 20, netRevenue: -20 }
+    ]);
+  });
+
+  it('leaves out payments completed outside the range', async () => {
+    const response = await server.request('/reports/revenue/timeline?interval=month&from=2026-01-01&to=2026-01-31T23:59:59Z', {
+      headers: bearer('owner')
+    });
+    const { data } = await response.json();
+
+    assert.deepEqual(data.rows, []);
+  });
+
+  it('keeps the revenue of deleted quizzes in their owner\'s reports', async () => {
+    const response = await server.request('/reports/revenue/quizzes', { headers: bearer('owner') });
+    const { data } = await response.json();
+
+    assert.deepEqual(data.rows.map(row => [row.quizTitle, row.netRevenue]), [['Deleted quiz', 100], ['Algebra', 30]]);
+    assert.equal(data.totals.netRevenue, 130);
+  });
+
+  it('shows every admin\'s revenue to super admins', async () => {
+    const response = await server.request('/reports/revenue/quizzes', { headers: bearer('super') });
+    const { data } = await response.json();
+
+    assert.equal(data.totals.grossRevenue, 220);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakePrisma, fakePrismaModule } from './helpers/fakePrisma.js';
+
+const prisma = createFakePrisma();
+mock.module('@prisma/client', fakePrismaModule(prisma));
+
+const { revokeUnenrolledSubAdminSessions } = await import('../api/v1/services/twoFactorService.js');
+
+describe('revokeUnenrolledSubAdminSessions', () => {
+  it('signs out sub-admins without 2FA and leaves everyone else signed in', async () => {
+    prisma.$seed('subAdmin', [
+      { id: 'enrolled', twoFactorEnabled: true },
+      { id: 'unenrolled', twoFactorEnabled: false }
+    ]);
+    prisma.$seed('session', [
+      { subjectType: 'SUB_ADMIN', subjectId: 'enrolled', revokedAt: null },
+      { subjectType: 'SUB_ADMIN', subjectId: 'unenrolled', revokedAt: null },
+      { subjectType: 'SUB_ADMIN', subjectId: 'unenrolled', revokedAt: null },
+      // Same id on another account type, which the mandate does not cover
+      { subjectType: 'ADMIN', subjectId: 'unenrolled', revokedAt: null }
+    ]);
+
+    assert.equal(await revokeUnenrolledSubAdminSessions(), 1);
+
+    const open = prisma.$rows('session').filter(session => !session.revokedAt);
+    assert.deepEqual(open.map(session => [session.subjectType, session.subjectId]), [
+      ['SUB_ADMIN', 'enrolled'],
+      ['ADMIN', 'unenrolled']
+    ]);
+  });
+});